@@ -31,7 +31,7 @@ window.onerror = function (msg, url, line, col, error) {
 
 (function () {
     // State
-    const APP_VERSION = 'v1.90';
+    const APP_VERSION = 'v1.91';
 
     // IMMEDIATE LAYOUT FORCE
     function forceImmediateLayout() {
@@ -106,6 +106,7 @@ window.onerror = function (msg, url, line, col, error) {
     let routineBlocks = [];
     let localBlocks = [];
     let calendarBlocks = [];
+    let hiddenRoutineIds = []; // Routine IDs hidden on currentDate
     let editingBlockId = null;
     let selectedBlockId = null; // New state for keyboard selection
 
@@ -137,6 +138,58 @@ window.onerror = function (msg, url, line, col, error) {
         quickSyncBtn: document.getElementById('quick-sync-btn'), // NEW
         themeModeBtn: document.getElementById('theme-mode-btn'), // NEW
         syncCalendarBtn: document.getElementById('sync-calendar-btn'), // MISSING
+        hiddenRoutinesBtn: document.getElementById('hidden-routines-btn'),
+        hiddenRoutinesCount: document.getElementById('hidden-routines-count'),
+        hiddenRoutinesModal: document.getElementById('hidden-routines-modal'),
+        hiddenRoutinesList: document.getElementById('hidden-routines-list'),
+        conflictsBtn: document.getElementById('conflicts-btn'),
+        conflictsCount: document.getElementById('conflicts-count'),
+        conflictsModal: document.getElementById('conflicts-modal'),
+        conflictsList: document.getElementById('conflicts-list'),
+        historyBtn: document.getElementById('history-btn'),
+        historyModal: document.getElementById('history-modal'),
+        historyList: document.getElementById('history-list'),
+        historyPreview: document.getElementById('history-preview'),
+        encryptionBtn: document.getElementById('encryption-btn'),
+        encryptionModal: document.getElementById('encryption-modal'),
+        encryptionForm: document.getElementById('encryption-form'),
+        encryptionStatus: document.getElementById('encryption-status'),
+        encryptionPassphrase: document.getElementById('encryption-passphrase'),
+        encryptionConfirmGroup: document.getElementById('encryption-confirm-group'),
+        encryptionConfirm: document.getElementById('encryption-passphrase-confirm'),
+        encryptionError: document.getElementById('encryption-error'),
+        encryptionSubmitBtn: document.getElementById('encryption-submit-btn'),
+        encryptionDisableBtn: document.getElementById('encryption-disable-btn'),
+        calendarsBtn: document.getElementById('calendars-btn'),
+        calendarsModal: document.getElementById('calendars-modal'),
+        calendarsList: document.getElementById('calendars-list'),
+        calendarsSaveBtn: document.getElementById('calendars-save-btn'),
+        calendarsError: document.getElementById('calendars-error'),
+        homeTimezone: document.getElementById('home-timezone'),
+        timezoneOptions: document.getElementById('timezone-options'),
+        travelMode: document.getElementById('travel-mode'),
+        publishEnabled: document.getElementById('publish-enabled'),
+        publishCategories: document.getElementById('publish-categories'),
+        syncSettingsBtn: document.getElementById('sync-settings-btn'),
+        syncSettingsModal: document.getElementById('sync-settings-modal'),
+        syncSettingsForm: document.getElementById('sync-settings-form'),
+        syncBackendSelect: document.getElementById('sync-backend-select'),
+        webdavSettings: document.getElementById('webdav-settings'),
+        webdavUrl: document.getElementById('webdav-url'),
+        webdavUsername: document.getElementById('webdav-username'),
+        webdavPassword: document.getElementById('webdav-password'),
+        webdavTestBtn: document.getElementById('webdav-test-btn'),
+        syncSettingsMessage: document.getElementById('sync-settings-message'),
+        syncPanel: document.getElementById('sync-panel'),
+        syncPanelSummary: document.getElementById('sync-panel-summary'),
+        syncPanelDetails: document.getElementById('sync-panel-details'),
+        syncPanelMessage: document.getElementById('sync-panel-message'),
+        syncInfoBackend: document.getElementById('sync-info-backend'),
+        syncInfoPull: document.getElementById('sync-info-pull'),
+        syncInfoPush: document.getElementById('sync-info-push'),
+        syncInfoPending: document.getElementById('sync-info-pending'),
+        syncInfoRemote: document.getElementById('sync-info-remote'),
+        syncInfoError: document.getElementById('sync-info-error'),
 
         // Modal elements
         blockModal: document.getElementById('block-modal'),
@@ -238,8 +291,18 @@ window.onerror = function (msg, url, line, col, error) {
             document.body.appendChild(errDiv);
         }
 
+        // Grid times are in the home time zone, so "today" is today there
+        try {
+            await TimeZone.load();
+            currentDate = homeToday();
+        } catch (e) {
+            console.error('Failed to read time zone settings:', e);
+        }
+
         // Initialize Google Calendar (don't wait for it)
         initCalendar();
+        window.addEventListener('online', handleOnline);
+        renderConflictsBadge().catch(e => console.error('Failed to read sync conflicts:', e));
 
         // Load today's data
         try {
@@ -251,11 +314,6 @@ window.onerror = function (msg, url, line, col, error) {
 
         setInterval(updateCurrentTimeIndicator, 60000); // Update every minute
 
-        // Quick Sync Listener
-        if (elements.quickSyncBtn) {
-            elements.quickSyncBtn.addEventListener('click', syncFromDrive);
-        }
-
         // Initialize Smart Input Toggle
         // document.addEventListener('keydown', (e) => {
         //     // Shortcut: 'Q' to open smart input
@@ -457,6 +515,32 @@ window.onerror = function (msg, url, line, col, error) {
         }
     }
 
+    /**
+     * Label the hours with the device's time too while travelling (see TimeZone)
+     * @param {string} dateStr - Date shown (the offset between the zones may differ by date)
+     */
+    function updateTimeLabels(dateStr) {
+        const travelling = TimeZone.isTravelling();
+        const deviceZone = TimeZone.deviceZone();
+
+        elements.timegrid.querySelectorAll('.timegrid-row').forEach(row => {
+            const label = row.querySelector('.time-label');
+            const existing = label.querySelector('.time-label-secondary');
+            if (existing) existing.remove();
+            label.classList.toggle('has-secondary', travelling);
+            label.title = travelling ? `${TimeZone.homeZone()} (doma)` : '';
+            if (!travelling) return;
+
+            const instant = TimeZone.toInstant(dateStr, `${String(row.dataset.hour).padStart(2, '0')}:00`);
+            const local = TimeZone.toZoned(instant, deviceZone);
+            const secondary = document.createElement('span');
+            secondary.className = 'time-label-secondary';
+            secondary.textContent = local.minutes ? local.time : `${local.hours}`;
+            secondary.title = `${deviceZone} (${TimeZone.formatOffset(deviceZone, instant)}, tady)`;
+            label.appendChild(secondary);
+        });
+    }
+
     /**
      * Set up event listeners
      */
@@ -500,6 +584,77 @@ window.onerror = function (msg, url, line, col, error) {
             });
         }
 
+        // Hidden routines list
+        if (elements.hiddenRoutinesBtn) {
+            elements.hiddenRoutinesBtn.addEventListener('click', () => {
+                elements.hiddenRoutinesModal.hidden = false;
+            });
+            elements.hiddenRoutinesModal.querySelectorAll('.modal-backdrop, [data-close-modal]').forEach(el => {
+                el.addEventListener('click', () => {
+                    elements.hiddenRoutinesModal.hidden = true;
+                });
+            });
+        }
+
+        // Sync conflicts review
+        if (elements.conflictsBtn) {
+            elements.conflictsBtn.addEventListener('click', openConflictsModal);
+            elements.conflictsModal.querySelectorAll('.modal-backdrop, [data-close-modal]').forEach(el => {
+                el.addEventListener('click', () => {
+                    elements.conflictsModal.hidden = true;
+                });
+            });
+        }
+
+        // Data history (local snapshots)
+        if (elements.historyBtn) {
+            elements.historyBtn.addEventListener('click', openHistoryModal);
+            elements.historyModal.querySelectorAll('.modal-backdrop, [data-close-modal]').forEach(el => {
+                el.addEventListener('click', () => {
+                    elements.historyModal.hidden = true;
+                });
+            });
+        }
+
+        // Backup encryption
+        if (elements.encryptionBtn) {
+            elements.encryptionBtn.addEventListener('click', () => openEncryptionModal());
+            elements.encryptionForm.addEventListener('submit', handleEncryptionSubmit);
+            elements.encryptionDisableBtn.addEventListener('click', handleEncryptionDisable);
+            elements.encryptionModal.querySelectorAll('.modal-backdrop, [data-close-modal]').forEach(el => {
+                el.addEventListener('click', () => {
+                    elements.encryptionModal.hidden = true;
+                });
+            });
+        }
+
+        // Calendar selection (visibility, colour, category)
+        if (elements.calendarsBtn) {
+            elements.calendarsBtn.addEventListener('click', openCalendarsModal);
+            elements.calendarsSaveBtn.addEventListener('click', saveCalendarPrefs);
+            elements.calendarsModal.querySelectorAll('.modal-backdrop, [data-close-modal]').forEach(el => {
+                el.addEventListener('click', () => {
+                    elements.calendarsModal.hidden = true;
+                });
+            });
+        }
+
+        // Sync backend (Google Drive / WebDAV)
+        if (elements.syncSettingsBtn) {
+            elements.syncSettingsBtn.addEventListener('click', openSyncSettingsModal);
+            elements.syncSettingsForm.addEventListener('submit', handleSyncSettingsSubmit);
+            elements.syncBackendSelect.addEventListener('change', () => {
+                elements.webdavSettings.hidden = elements.syncBackendSelect.value !== 'webdav';
+                elements.webdavTestBtn.hidden = elements.webdavSettings.hidden;
+            });
+            elements.webdavTestBtn.addEventListener('click', handleWebdavTest);
+            elements.syncSettingsModal.querySelectorAll('.modal-backdrop, [data-close-modal]').forEach(el => {
+                el.addEventListener('click', () => {
+                    elements.syncSettingsModal.hidden = true;
+                });
+            });
+        }
+
         const closePopoverBtn = document.getElementById('close-popover-btn');
         if (closePopoverBtn) {
             closePopoverBtn.addEventListener('click', (e) => {
@@ -600,25 +755,20 @@ window.onerror = function (msg, url, line, col, error) {
         });
 
         // Quick Sync
-        const quickSyncBtn = document.getElementById('quick-sync-btn');
-        if (quickSyncBtn) {
-            quickSyncBtn.addEventListener('click', async () => {
-                console.log('Quick Sync clicked');
-                const icon = quickSyncBtn.querySelector('svg');
-                if (icon) icon.classList.add('rotating');
-
-                try {
-                    await syncFromDrive();
-                } catch (e) {
-                    console.error('Quick sync failed:', e);
-                } finally {
-                    if (icon) icon.classList.remove('rotating');
-                }
-            });
+        if (elements.quickSyncBtn) {
+            elements.quickSyncBtn.addEventListener('click', handleQuickSync);
         } else {
             console.error('Quick sync button not found in DOM');
         }
 
+        // Sync panel: details on demand, manual pull / push / full merge
+        if (elements.syncPanel) {
+            elements.syncPanelSummary.addEventListener('click', () => toggleSyncPanel());
+            elements.syncPanel.querySelectorAll('[data-sync-mode]').forEach(btn => {
+                btn.addEventListener('click', () => handleSyncPanelAction(btn.dataset.syncMode));
+            });
+        }
+
         // CLICK-TO-TIME: Handle clicks on empty slots
         if (elements.timegrid) {
             elements.timegrid.addEventListener('click', (e) => {
@@ -649,28 +799,25 @@ window.onerror = function (msg, url, line, col, error) {
             });
         }
 
-        // SYNC FIX: Auto-sync when app comes into foreground
-        document.addEventListener('visibilitychange', () => {
-            if (document.visibilityState === 'visible' && Calendar.getSignedInStatus()) {
-                console.log('App visible, checking for updates...');
-                syncFromDrive();
-            }
+        // Sync engine: sync panel, reload after merges, focus/visibility/timer triggers
+        Sync.on('state', handleSyncStateChange);
+        Sync.on('pending', count => {
+            pendingChangeCount = count;
+            renderSyncPanel();
         });
-
-        window.addEventListener('focus', () => {
-            if (Calendar.getSignedInStatus()) {
-                console.log('Window focused, checking for updates...');
-                syncFromDrive(); // Re-enabled for PC
+        Sync.on('status', renderSyncPanel);
+        Sync.on('synced', async ({ data }) => {
+            if (data) {
+                await TimeZone.load(); // The home time zone may have changed elsewhere
+                await loadDate(currentDate);
+                Publish.schedule(); // Blocks changed on other devices
             }
         });
-
-        // Periodic Background Sync (Every 5 minutes)
-        setInterval(() => {
-            if (Calendar.getSignedInStatus() && document.visibilityState === 'visible') {
-                console.log('Periodic sync check...');
-                syncFromDrive();
-            }
-        }, 5 * 60 * 1000);
+        Sync.on('conflicts', () => {
+            renderConflictsBadge().catch(e => console.error('Failed to read sync conflicts:', e));
+        });
+        Sync.on('duplicates', showDuplicateSummary);
+        Sync.start();
 
         // Force Grid Layout Calculation (The "Hammer" Fix)
         // Note: forceImmediateLayout is already bound to resize globally at the top of the file
@@ -683,19 +830,19 @@ window.onerror = function (msg, url, line, col, error) {
     // adjustGridHeight removed - superseded by forceImmediateLayout at top of file
 
 
-    // Sync state
-    let isSyncing = false;
-    let saveTimeout = null;
+    // Sync state (see sync.js)
+    let pendingChangeCount = 0; // Outbox entries not yet pushed
+    let calendarReady = false; // Google scripts loaded (they can't be while offline)
 
     /**
      * Initialize Google Calendar / Drive
      */
     async function initCalendar() {
         try {
-            await Calendar.init(async (isSignedIn) => {
-                handleSignInChange(isSignedIn);
+            calendarReady = await Calendar.init(async (isSignedIn, authState) => {
+                handleSignInChange(isSignedIn, authState);
                 if (isSignedIn) {
-                    await syncFromDrive();
+                    Sync.run('signin').catch(() => { });
                 }
             });
         } catch (error) {
@@ -704,332 +851,897 @@ window.onerror = function (msg, url, line, col, error) {
     }
 
     /**
-     * Sync data from Drive
+     * Back online: start Google if it couldn't load, and replace cached (stale) events
+     */
+    async function handleOnline() {
+        if (!calendarReady) await initCalendar();
+        if (calendarBlocks.stale) await loadDate(currentDate);
+    }
+
+    /**
+     * Trigger auto-save to the sync backend (debounced, see Sync.schedule).
+     * Never rejects - most callers don't wait for it.
+     */
+    async function triggerAutoSave() {
+        Publish.schedule(); // Google Calendar copy of the blocks, if turned on
+        try {
+            if (!await Sync.isAvailable()) return;
+        } catch (e) {
+            console.error('Could not check the sync backend:', e);
+            return;
+        }
+        showSyncStatus('Saving...', 'normal');
+        Sync.schedule('save');
+    }
+
+    /**
+     * Reflect sync engine state in the sync panel summary
      */
-    // Sync data from Drive
-    // (removed invalid code block)
+    function handleSyncStateChange({ state, error }) {
+        switch (state) {
+            case Sync.STATE.PULLING:
+                showSyncStatus('Syncing...', 'normal');
+                break;
+            case Sync.STATE.MERGING:
+                showSyncStatus('Merging...', 'normal');
+                break;
+            case Sync.STATE.PUSHING:
+                showSyncStatus('Saving...', 'normal');
+                break;
+            case Sync.STATE.IDLE:
+                showSyncStatus('Synced', 'success');
+                setTimeout(showRestingSyncStatus, 2000);
+                break;
+            case Sync.STATE.ERROR:
+                // Changes stay in the outbox - say how many are waiting
+                if (error && ENCRYPTION_ERRORS.includes(error.code)) {
+                    showSyncStatus('Záloha je zašifrovaná', 'warning');
+                    if (elements.encryptionModal.hidden) openEncryptionModal(error);
+                } else if (error && (error.status === 401 || error.status === 403)) {
+                    showSyncStatus(`Synchronizace pozastavena · ${pendingChangeCount} čeká`, 'warning');
+                } else if (!navigator.onLine) {
+                    showSyncStatus(`Bez připojení · ${pendingChangeCount} čeká`, 'warning');
+                } else {
+                    showSyncStatus(`Chyba synchronizace · ${pendingChangeCount} čeká`, 'error');
+                }
+                break;
+        }
+    }
 
+    /**
+     * Set the always visible sync panel summary
+     * @param {string} msg
+     * @param {string} type - 'normal', 'success', 'warning' or 'error'
+     */
+    function showSyncStatus(msg, type) {
+        const summary = elements.syncPanelSummary;
+        if (!summary) return;
+        summary.textContent = msg;
+        summary.className = `sync-panel-summary ${type}`;
+    }
 
-    async function syncFromDrive() {
-        if (isSyncing) return null;
-        isSyncing = true;
-        showSyncStatus('Syncing...', 'normal');
+    /**
+     * Summary once a sync has settled: waiting changes, or when the last sync was
+     */
+    function showRestingSyncStatus() {
+        if (Sync.getState() !== Sync.STATE.IDLE) return; // A newer sync took over
+        if (pendingChangeCount > 0) {
+            showSyncStatus(`${pendingChangeCount} změn čeká na odeslání`, 'warning');
+            return;
+        }
+        const { lastPull } = Sync.getStatus();
+        showSyncStatus(lastPull ? `Synchronizováno · ${formatSyncTime(lastPull)}` : 'Nesynchronizováno', 'normal');
+    }
 
+    function formatSyncTime(timestamp) {
+        if (!timestamp) return '-';
+        const date = new Date(timestamp);
+        const time = date.toLocaleTimeString('cs-CZ', { hour: '2-digit', minute: '2-digit' });
+        return date.toDateString() === new Date().toDateString()
+            ? time
+            : `${date.toLocaleDateString('cs-CZ')} ${time}`;
+    }
+
+    function formatFileSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} kB`;
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+
+    /**
+     * Fill the sync panel details from the engine's status
+     */
+    async function renderSyncPanel() {
+        if (!elements.syncPanel) return;
+        const { lastPull, lastPush, remote, lastError } = Sync.getStatus();
+        const backend = await Backends.getActive();
+
+        elements.syncInfoBackend.textContent = await backend.isAvailable()
+            ? backend.label
+            : `${backend.label} (nepřipojeno)`;
+        elements.syncInfoPull.textContent = formatSyncTime(lastPull);
+        elements.syncInfoPush.textContent = formatSyncTime(lastPush);
+        elements.syncInfoPending.textContent = String(pendingChangeCount);
+        elements.syncInfoRemote.textContent = remote
+            ? `${remote.id} (v${remote.version}, ${remote.months} měs., ${formatFileSize(remote.size)})`
+            : 'žádný';
+
+        if (lastError) {
+            const details = [
+                lastError.status && `HTTP ${lastError.status}`,
+                lastError.code,
+                lastError.reason
+            ].filter(Boolean).join(', ');
+            elements.syncInfoError.textContent = `${formatSyncTime(lastError.time)}: ${lastError.message}` +
+                (details ? ` (${details})` : '');
+            elements.syncInfoError.classList.add('modal-error');
+        } else {
+            elements.syncInfoError.textContent = '-';
+            elements.syncInfoError.classList.remove('modal-error');
+        }
+
+        if (Sync.getState() === Sync.STATE.IDLE) showRestingSyncStatus();
+    }
+
+    /**
+     * Show or hide the sync panel details
+     * @param {boolean} open - Force a state (toggles when omitted)
+     */
+    function toggleSyncPanel(open) {
+        const details = elements.syncPanelDetails;
+        details.hidden = open === undefined ? !details.hidden : !open;
+        elements.syncPanelSummary.setAttribute('aria-expanded', String(!details.hidden));
+        if (!details.hidden) renderSyncPanel();
+    }
+
+    /**
+     * Show the result of an action in the sync panel (replaces alerts)
+     * @param {string} message
+     * @param {boolean} isError
+     */
+    function showSyncPanelMessage(message, isError = false) {
+        elements.syncPanelMessage.textContent = message;
+        elements.syncPanelMessage.classList.toggle('modal-error', isError);
+        elements.syncPanelMessage.hidden = false;
+        toggleSyncPanel(true);
+    }
+
+    const SYNC_MODE_LABELS = {
+        pull: 'Stažení',
+        push: 'Odeslání',
+        full: 'Sloučení'
+    };
+
+    /**
+     * Manual pull / push / full merge from the sync panel
+     * @param {string} mode - Sync.MODE value
+     */
+    async function handleSyncPanelAction(mode) {
+        if (!await Sync.isAvailable()) {
+            showSyncPanelMessage('Pro synchronizaci se musíte přihlásit (nebo nastavit WebDAV server).', true);
+            return;
+        }
+        if (mode === Sync.MODE.PUSH &&
+            !confirm('Odeslat místní data a nahradit jimi data v úložišti? Změny z ostatních zařízení, které tu ještě nejsou, se ztratí.')) {
+            return;
+        }
+
+        const buttons = elements.syncPanel.querySelectorAll('[data-sync-mode]');
+        buttons.forEach(btn => { btn.disabled = true; });
         try {
-            const remoteData = await Calendar.loadData();
-            if (remoteData) {
-                // Use smart merge (overwrite=false) which now checks timestamps
-                await Storage.importBackup(remoteData, false);
-                console.log('Synced from Drive (Smart Merge)');
-                await loadDate(currentDate);
-                showSyncStatus(`Synced`, 'success');
-                return remoteData; // RETURN DATA
-            } else {
-                console.log('No remote data found');
-                triggerAutoSave();
-                return null;
-            }
+            await Sync.run('panel', { mode });
+            showSyncPanelMessage(`${SYNC_MODE_LABELS[mode]} proběhlo v ${formatSyncTime(Date.now())}.`);
         } catch (e) {
-            console.error('Sync failed', e);
-            showSyncStatus('Sync Error', 'error');
-            throw e; // RETHROW for handleSyncCalendar to catch
+            showSyncPanelMessage(`${SYNC_MODE_LABELS[mode]} selhalo: ${e.message}`, true);
         } finally {
-            isSyncing = false;
-            setTimeout(hideSyncStatus, 3000);
+            buttons.forEach(btn => { btn.disabled = false; });
         }
     }
 
-    // ...
+    /**
+     * Tell the user what was recovered from duplicate Drive data files
+     * @param {Array} summary - From the sync engine's 'duplicates' event
+     */
+    function showDuplicateSummary(summary) {
+        const lines = summary.map(entry => {
+            const created = entry.createdTime ? new Date(entry.createdTime).toLocaleString('cs-CZ') : '?';
+            const state = entry.deleted ? 'smazán' : 'nepodařilo se smazat';
+            return `• Soubor z ${created}: ${entry.blockCount} bloků, ${entry.added} nových, ${entry.updated} upravených (${state})`;
+        });
+
+        showSyncPanelMessage(`Na Disku byly nalezeny duplicitní soubory dat (${summary.length}).\n` +
+            `Jejich obsah byl sloučen do hlavního souboru:\n` +
+            lines.join('\n'));
+    }
 
     /**
-     * Handle manual calendar sync
+     * Manual sync from the header button
      */
-    async function handleSyncCalendar() {
-        if (!Calendar.getSignedInStatus()) return;
+    async function handleQuickSync() {
+        if (!await Sync.isAvailable()) {
+            showSyncPanelMessage('Pro synchronizaci se musíte přihlásit (nebo nastavit WebDAV server).', true);
+            return;
+        }
 
-        const btn = elements.syncCalendarBtn;
-        btn.classList.add('rotating');
+        const btn = elements.quickSyncBtn;
+        const originalContent = btn.innerHTML;
+        btn.disabled = true;
+        btn.innerHTML = '<span class="icon">⇄</span>'; // Two-way arrow
 
         try {
+            await Sync.run('manual');
+            updateCurrentTimeIndicator();
+        } catch (e) {
+            toggleSyncPanel(true); // Details of the error are in the panel
+        } finally {
+            btn.disabled = false;
+            btn.innerHTML = originalContent;
+        }
+    }
 
-            // STEP 1: Pull AppData (tasks) - Merge remote changes
-            const remoteData = await syncFromDrive();
-
-            // STEP 1.5: Fetch Calendar Events for next 5 days (Offline Support)
-            const daysToSync = 5;
-            const today = new Date();
-            let eventsSyncedCount = 0;
-
-            for (let i = 0; i < daysToSync; i++) {
-                const syncDate = new Date(today);
-                syncDate.setDate(today.getDate() + i);
-                const dateStr = formatDateStr(syncDate);
-
-                // Fetch events
-                const events = await Calendar.getEventsForDate(dateStr);
-
-                // Save them to local storage as cached blocks
-                // First, remove existing cached calendar blocks for this day to avoid stale data
-                // We can't easily do that without clearing all... 
-                // Instead, we just save these over.
-                // Actually, duplicate gcal_ ids will just overwrite. 
-                // But what about DELETED events? 
-                // We should clear old gcal_ blocks for this date.
-
-                const existingBlocks = await Storage.getBlocksByDate(dateStr);
-                const staleCalendarBlocks = existingBlocks.filter(b => b.fromCalendar);
-                for (const b of staleCalendarBlocks) {
-                    await Storage.deleteBlock(b.id);
-                }
+    const CONFLICT_FIELD_LABELS = {
+        time: 'Čas', // Date, start and end together (see Merge.fieldsOf)
+        date: 'Datum',
+        title: 'Název',
+        startTime: 'Začátek',
+        endTime: 'Konec',
+        category: 'Kategorie',
+        notes: 'Poznámky',
+        customColor: 'Barva'
+    };
 
-                // Save new ones
-                for (const event of events) {
-                    await Storage.saveBlock(event);
-                }
-                eventsSyncedCount += events.length;
-            }
+    // Text fields can keep both versions
+    const COMBINABLE_FIELDS = ['title', 'notes'];
 
-            // STEP 2: Force Push Local Data - Ensure our changes are uploaded
-            await triggerAutoSave(true);
+    /**
+     * Show or hide the conflicts button
+     */
+    async function renderConflictsBadge() {
+        if (!elements.conflictsBtn) return;
+        const stored = await Storage.getSetting('syncConflicts', []);
+        elements.conflictsBtn.hidden = stored.length === 0;
+        elements.conflictsCount.textContent = stored.length.toString();
+    }
 
-            // STEP 3: Load events/local data for UI
-            await loadDate(currentDate);
+    /**
+     * Format a field value for the conflict list
+     */
+    function formatConflictValue(value) {
+        if (value === undefined || value === null || value === '') return '—';
+        return String(value);
+    }
 
-            // Get total local blocks for debug
-            const exportData = await Storage.exportBackup();
-            const localCount = exportData.blocks.length;
+    /**
+     * Value of a conflicting field or field group on one side
+     */
+    function formatConflictSide(block, field) {
+        if (field === 'time') {
+            return `${formatConflictValue(block.date)} ${formatConflictValue(block.startTime)}–${formatConflictValue(block.endTime)}`;
+        }
+        return formatConflictValue(block[field]);
+    }
 
-            // Check if we found any events
-            const eventCount = calendarBlocks.length;
+    /**
+     * Open the conflict review list (local vs remote side by side)
+     */
+    async function openConflictsModal() {
+        const stored = await Storage.getSetting('syncConflicts', []);
+        const remoteLabel = (await Backends.getActive()).label;
+        const list = elements.conflictsList;
+        list.innerHTML = '';
+
+        if (stored.length === 0) {
+            list.textContent = 'Žádné konflikty.';
+        }
 
-            // Debug info
-            const remoteDebugInfo = remoteData && remoteData._debugFileId
-                ? `\nFile: ...${remoteData._debugFileId.slice(-4)}`
-                : '';
-            const remoteBlockCount = remoteData && remoteData.blocks ? remoteData.blocks.length : 'N/A';
+        stored.forEach(conflict => {
+            const item = document.createElement('div');
+            item.className = 'conflict-item';
+
+            const heading = document.createElement('div');
+            heading.className = 'conflict-title';
+            heading.textContent = `${conflict.local.date || ''} ${conflict.local.title || conflict.remote.title}`;
+            item.appendChild(heading);
+
+            const table = document.createElement('div');
+            table.className = 'conflict-table';
+            const localHeading = document.createElement('strong');
+            localHeading.textContent = 'Toto zařízení';
+            const remoteHeading = document.createElement('strong');
+            remoteHeading.textContent = remoteLabel;
+            table.append(document.createElement('span'), localHeading, remoteHeading);
+
+            // Block IDs come from other devices - keep references rather than building selectors from them
+            const radios = {}; // field -> radio inputs
+            const addOption = (field, value, text, className) => {
+                const option = document.createElement('label');
+                option.className = className;
+                const radio = document.createElement('input');
+                radio.type = 'radio';
+                radio.name = `${conflict.id}_${field}`;
+                radio.value = value;
+                radio.checked = value === 'local';
+                option.append(radio, document.createTextNode(' ' + text));
+                table.appendChild(option);
+                radios[field].push(radio);
+            };
 
-            alert(`Synchronizace OK!\n\n` +
-                `Místní úkoly: ${localCount} (Remote: ${remoteBlockCount})\n` +
-                `Kalendář: ${eventCount} dnes, ${eventsSyncedCount} na 5 dní\n` +
-                remoteDebugInfo);
-        } catch (error) {
-            console.error('Sync failed:', error);
+            conflict.fields.forEach(field => {
+                const label = document.createElement('span');
+                label.textContent = CONFLICT_FIELD_LABELS[field] || field;
+                table.appendChild(label);
 
-            // Extract detailed error message if available
-            let errorMsg = 'Synchronizace selhala.';
-            if (error.result && error.result.error && error.result.error.message) {
-                errorMsg += '\nDetails: ' + error.result.error.message;
-            } else if (error.message) {
-                errorMsg += '\nError: ' + error.message;
+                radios[field] = [];
+                ['local', 'remote'].forEach(side => {
+                    addOption(field, side, formatConflictSide(conflict[side], field), 'conflict-option');
+                });
+
+                if (COMBINABLE_FIELDS.includes(field)) {
+                    table.appendChild(document.createElement('span'));
+                    addOption(field, 'both', 'Sloučit obojí', 'conflict-option conflict-option-both');
+                }
+            });
+            item.appendChild(table);
+
+            const actions = document.createElement('div');
+            actions.className = 'modal-actions';
+            const applyBtn = document.createElement('button');
+            applyBtn.type = 'button';
+            applyBtn.className = 'btn btn-primary btn-sm';
+            applyBtn.textContent = 'Použít výběr';
+            applyBtn.addEventListener('click', async () => {
+                const choices = {};
+                conflict.fields.forEach(field => {
+                    const checked = radios[field].find(radio => radio.checked);
+                    choices[field] = checked ? checked.value : 'local';
+                });
+                applyBtn.disabled = true;
+                await resolveConflict(conflict, choices);
+            });
+            actions.appendChild(applyBtn);
+            item.appendChild(actions);
+
+            list.appendChild(item);
+        });
+
+        elements.conflictsModal.hidden = false;
+    }
+
+    /**
+     * Apply the chosen versions of a conflicting block and push the result
+     * @param {Object} conflict - Stored conflict
+     * @param {Object} choices - field -> 'local' | 'remote' | 'both'
+     */
+    async function resolveConflict(conflict, choices) {
+        try {
+            const current = await Storage.getBlock(conflict.id);
+            if (current) {
+                Object.entries(choices).forEach(([field, choice]) => {
+                    if (choice === 'both') {
+                        const values = [conflict.local[field], conflict.remote[field]].filter(Boolean);
+                        current[field] = field === 'title' ? values.join(' / ') : values.join('\n');
+                    } else {
+                        Merge.fieldsOf(field).forEach(name => {
+                            current[name] = conflict[choice][name];
+                        });
+                    }
+                });
+                current.updatedAt = new Date().toISOString();
+                // Stamps the chosen fields with fresh clocks so the choice wins on every device
+                await Storage.saveBlock(current);
             }
 
-            alert(errorMsg + '\nZkuste se odhlásit a znovu přihlásit.');
-        } finally {
-            // Keep spinning a bit longer for visual feedback
-            setTimeout(() => {
-                btn.classList.remove('rotating');
-            }, 500);
+            const stored = await Storage.getSetting('syncConflicts', []);
+            await Storage.setSetting('syncConflicts', stored.filter(c => c.id !== conflict.id));
+
+            await Sync.run('conflict');
+            await loadDate(currentDate);
+            await renderConflictsBadge();
+            await openConflictsModal();
+        } catch (e) {
+            console.error('Conflict resolution failed', e);
+            showSyncPanelMessage('Nepodařilo se uložit řešení konfliktu: ' + e.message, true);
         }
     }
 
+    const SNAPSHOT_REASON_LABELS = {
+        sync: 'Před synchronizací',
+        import: 'Před importem',
+        restore: 'Před obnovením'
+    };
+
     /**
-     * Trigger auto-save to Drive
-     * @param {boolean} force - If true, skip debounce and save immediately
+     * Open the list of local snapshots
      */
-    async function triggerAutoSave(force = false) {
-        if (!Calendar.getSignedInStatus()) return;
+    async function openHistoryModal() {
+        const list = elements.historyList;
+        list.innerHTML = '';
+        elements.historyPreview.hidden = true;
 
-        if (saveTimeout) clearTimeout(saveTimeout);
-        showSyncStatus('Saving...', 'normal');
+        let snapshots = [];
+        try {
+            snapshots = await Storage.getSnapshots();
+        } catch (e) {
+            console.error('Failed to read snapshots', e);
+        }
 
-        const saveOperation = async () => {
-            try {
-                const data = await Storage.exportBackup();
-                // Debug log
-                console.log(`Saving ${data.blocks.length} blocks to Drive...`);
+        if (snapshots.length === 0) {
+            list.textContent = 'Zatím žádné zálohy. Vytvoří se automaticky před každým přepsáním dat.';
+        }
 
-                await Calendar.saveData(data);
-                showSyncStatus('Saved', 'success');
-            } catch (e) {
-                console.error('Save failed', e);
-                // Handle auth errors gracefully
-                if (e.status === 401 || e.status === 403) {
-                    showSyncStatus('Sync Paused', 'warning');
-                } else if (!navigator.onLine) {
-                    showSyncStatus('Offline', 'warning');
-                } else {
-                    showSyncStatus('Save Error', 'error');
-                }
+        snapshots.forEach(snapshot => {
+            const item = document.createElement('div');
+            item.className = 'list-item';
+
+            const label = document.createElement('span');
+            const when = new Date(snapshot.createdAt).toLocaleString('cs-CZ');
+            label.textContent = `${when} · ${SNAPSHOT_REASON_LABELS[snapshot.reason] || snapshot.reason} · ${snapshot.blockCount} bloků`;
+            item.appendChild(label);
+
+            const actions = document.createElement('div');
+            actions.className = 'list-item-actions';
+
+            const previewBtn = document.createElement('button');
+            previewBtn.type = 'button';
+            previewBtn.className = 'btn btn-secondary btn-sm';
+            previewBtn.textContent = 'Náhled';
+            previewBtn.addEventListener('click', () => {
+                list.querySelectorAll('.list-item').forEach(el => el.classList.remove('selected'));
+                item.classList.add('selected');
+                previewSnapshot(snapshot);
+            });
+            actions.appendChild(previewBtn);
+
+            const restoreBtn = document.createElement('button');
+            restoreBtn.type = 'button';
+            restoreBtn.className = 'btn btn-primary btn-sm';
+            restoreBtn.textContent = 'Obnovit';
+            restoreBtn.addEventListener('click', () => restoreSnapshot(snapshot));
+            actions.appendChild(restoreBtn);
+
+            item.appendChild(actions);
+            list.appendChild(item);
+        });
+
+        elements.historyModal.hidden = false;
+    }
+
+    /**
+     * Show what restoring a snapshot would change
+     */
+    async function previewSnapshot(snapshot) {
+        const preview = elements.historyPreview;
+        preview.innerHTML = '';
+        preview.hidden = false;
 
-                if (force) throw e; // RETHROW if forced so UI knows
-            } finally {
-                setTimeout(hideSyncStatus, 3000);
+        try {
+            const diff = await Storage.diffSnapshot(snapshot.id);
+            const sections = [
+                ['Vrátí se', diff.restored],
+                ['Změní se', diff.changed],
+                ['Zmizí', diff.removed]
+            ];
+
+            if (sections.every(([, blocks]) => blocks.length === 0)) {
+                preview.textContent = 'Záloha se shoduje s aktuálním stavem.';
+                return;
             }
-        };
 
-        if (force) {
-            return saveOperation();
-        } else {
-            saveTimeout = setTimeout(saveOperation, 2000);
-            return Promise.resolve();
+            sections.forEach(([title, blocks]) => {
+                if (blocks.length === 0) return;
+                const heading = document.createElement('h3');
+                heading.textContent = `${title} (${blocks.length})`;
+                preview.appendChild(heading);
+
+                const ul = document.createElement('ul');
+                blocks
+                    .slice()
+                    .sort((a, b) => `${a.date} ${a.startTime}`.localeCompare(`${b.date} ${b.startTime}`))
+                    .forEach(block => {
+                        const li = document.createElement('li');
+                        li.textContent = `${block.date} ${block.startTime}–${block.endTime} ${block.title}`;
+                        ul.appendChild(li);
+                    });
+                preview.appendChild(ul);
+            });
+        } catch (e) {
+            console.error('Snapshot preview failed', e);
+            preview.textContent = 'Náhled se nepodařilo načíst: ' + e.message;
         }
     }
 
-    // Helper for visual feedback
-    function showSyncStatus(msg, type) {
-        let badge = document.getElementById('sync-status-badge');
-        if (!badge) {
-            badge = document.createElement('div');
-            badge.id = 'sync-status-badge';
-            badge.style.position = 'fixed';
-            badge.style.bottom = '20px';
-            badge.style.right = '20px';
-            badge.style.padding = '8px 12px';
-            badge.style.borderRadius = '20px';
-            badge.style.fontSize = '12px';
-            badge.style.fontWeight = '500';
-            badge.style.zIndex = '1000';
-            badge.style.transition = 'opacity 0.3s';
-            document.body.appendChild(badge);
-        }
-
-        badge.textContent = msg;
-        badge.style.opacity = '1';
-
-        if (type === 'error') {
-            badge.style.backgroundColor = 'var(--color-danger)';
-            badge.style.color = '#fff';
-        } else if (type === 'success') {
-            badge.style.backgroundColor = 'var(--color-success)';
-            badge.style.color = '#fff';
+    /**
+     * Restore a snapshot and push it as new local changes
+     */
+    async function restoreSnapshot(snapshot) {
+        const when = new Date(snapshot.createdAt).toLocaleString('cs-CZ');
+        if (!confirm(`Obnovit data ze zálohy ${when}?\nAktuální stav se předtím uloží do historie.`)) return;
+
+        try {
+            const diff = await Storage.restoreSnapshot(snapshot.id);
+            console.log(`Restored snapshot ${snapshot.id}: +${diff.restored.length} ~${diff.changed.length} -${diff.removed.length}`);
+            elements.historyModal.hidden = true;
+            await loadDate(currentDate);
+            triggerAutoSave();
+        } catch (e) {
+            console.error('Snapshot restore failed', e);
+            alert('Obnovení zálohy selhalo: ' + e.message);
+        }
+    }
+
+    const ENCRYPTION_ERRORS = ['PASSPHRASE_REQUIRED', 'WRONG_PASSPHRASE'];
+    let lockedEnvelope = null; // Set while the modal asks for the passphrase of a Drive file
+
+    /**
+     * Open the backup encryption dialog
+     * @param {Error} lockedError - Encryption error from a sync (asks to unlock instead)
+     */
+    async function openEncryptionModal(lockedError = null) {
+        const enabled = await Encryption.isEnabled();
+        lockedEnvelope = lockedError ? lockedError.envelope : null;
+
+        elements.encryptionForm.reset();
+        elements.encryptionError.hidden = true;
+        elements.encryptionConfirmGroup.hidden = !!lockedEnvelope;
+        elements.encryptionDisableBtn.hidden = !enabled || !!lockedEnvelope;
+
+        if (lockedEnvelope) {
+            elements.encryptionStatus.textContent = lockedError.code === 'WRONG_PASSPHRASE'
+                ? 'Uložené heslo zálohu na Disku neotevře. Zadejte aktuální heslo.'
+                : 'Záloha na Disku je zašifrovaná (nebo bylo heslo změněno na jiném zařízení). Zadejte heslo.';
+            elements.encryptionSubmitBtn.textContent = 'Odemknout';
+        } else if (enabled) {
+            elements.encryptionStatus.textContent = 'Záloha na Disku je šifrovaná. Nové heslo bude potřeba zadat na ostatních zařízeních.';
+            elements.encryptionSubmitBtn.textContent = 'Změnit heslo';
         } else {
-            badge.style.backgroundColor = 'var(--color-surface)';
-            badge.style.color = 'var(--color-text)';
-            badge.style.border = '1px solid var(--color-border)';
+            elements.encryptionStatus.textContent = 'Záloha na Disku se ukládá nešifrovaně. Zapomenuté heslo nelze obnovit.';
+            elements.encryptionSubmitBtn.textContent = 'Zapnout';
         }
+
+        elements.encryptionModal.hidden = false;
+        elements.encryptionPassphrase.focus();
     }
 
-    function hideSyncStatus() {
-        const badge = document.getElementById('sync-status-badge');
-        if (badge) badge.style.opacity = '0';
+    function showEncryptionError(message) {
+        elements.encryptionError.textContent = message;
+        elements.encryptionError.hidden = false;
     }
 
     /**
-     * Sync data FROM Drive (Manual Pull)
+     * Unlock, enable or rotate the passphrase
      */
-    async function syncFromDrive() {
-        if (!Calendar.getSignedInStatus()) {
-            alert('Pro synchronizaci se musíte přihlásit.');
+    async function handleEncryptionSubmit(e) {
+        e.preventDefault();
+        const passphrase = elements.encryptionPassphrase.value;
+
+        try {
+            if (lockedEnvelope) {
+                await Encryption.unlock(passphrase, lockedEnvelope);
+            } else {
+                if (passphrase !== elements.encryptionConfirm.value) {
+                    showEncryptionError('Hesla se neshodují.');
+                    return;
+                }
+                await Encryption.setPassphrase(passphrase);
+                // Re-upload so Drive holds a copy under the new key
+                await Storage.queuePush('encryption');
+            }
+        } catch (err) {
+            showEncryptionError(err.code === 'WRONG_PASSPHRASE' ? 'Nesprávné heslo.' : err.message);
             return;
         }
 
-        const btn = elements.quickSyncBtn;
-        const originalContent = btn.innerHTML;
-        btn.disabled = true;
-        btn.innerHTML = '<span class="icon">⇄</span>'; // Two-way arrow
-        showSyncStatus('Syncing...', 'normal');
+        elements.encryptionModal.hidden = true;
+        Sync.run('encryption').catch(() => { });
+    }
+
+    /**
+     * Turn encryption off and upload a plain copy
+     */
+    async function handleEncryptionDisable() {
+        if (!confirm('Vypnout šifrování? Záloha na Disku bude uložena nešifrovaně.')) return;
+        await Encryption.disable();
+        await Storage.queuePush('encryption');
+        elements.encryptionModal.hidden = true;
+        Sync.run('encryption').catch(() => { });
+    }
+
+    /**
+     * Block categories as offered in the block editor
+     * @returns {Array} [{ id, label }]
+     */
+    function getBlockCategories() {
+        return Array.from(elements.categoryPicker.querySelectorAll('.category-btn'))
+            .map(btn => ({ id: btn.dataset.category, label: btn.textContent.trim() }));
+    }
+
+    /**
+     * Fill the "publish to calendar" part of the calendar settings
+     */
+    async function renderPublishSettings() {
+        const settings = await Publish.getSettings();
+        elements.publishEnabled.checked = settings.enabled;
+        elements.publishCategories.innerHTML = '';
+        getBlockCategories().forEach(category => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = category.id;
+            checkbox.checked = !!settings.categories && settings.categories.includes(category.id);
+            label.append(checkbox, category.label);
+            elements.publishCategories.appendChild(label);
+        });
+    }
+
+    /**
+     * Fill the time zone part of the calendar settings
+     */
+    function renderTimeZoneSettings() {
+        const settings = TimeZone.getSettings();
+        elements.homeTimezone.value = settings.home || '';
+        elements.homeTimezone.placeholder = `Podle zařízení (${TimeZone.deviceZone()})`;
+        elements.travelMode.checked = settings.travel;
+        if (!elements.timezoneOptions.hasChildNodes()) {
+            elements.timezoneOptions.append(...TimeZone.listZones().map(zone => new Option(zone)));
+        }
+    }
+
+    /**
+     * Open the calendar selection
+     */
+    async function openCalendarsModal() {
+        const list = elements.calendarsList;
+        list.innerHTML = '';
+        elements.calendarsSaveBtn.disabled = true;
+        elements.calendarsError.hidden = true;
+        elements.calendarsModal.hidden = false;
+        renderTimeZoneSettings();
 
+        if (!Calendar.getSignedInStatus()) {
+            list.textContent = 'Pro výběr kalendářů se přihlaste ke Googlu.';
+            elements.calendarsSaveBtn.disabled = false; // The time zone can still be set
+            return;
+        }
+
+        await renderPublishSettings();
+        list.textContent = 'Načítám...';
+        let calendars, prefs;
         try {
-            // 1. Load data from Drive (Remote)
-            const remoteData = await Calendar.loadData();
-
-            // 2. Load data from Local
-            const localData = await Storage.exportBackup();
-
-            // 3. Merge Strategies
-            // Rule: Union of IDs. If ID exists in both, prefer LOCAL (assuming user is active here).
-            // This prevents overwriting local work with old remote data, 
-            // BUT it also brings in missing remote items (from other device).
-            // Trade-off: Deletions on other device might "re-appear" if they still exist locally.
-
-            let mergedBlocks = [];
-            let mergedSettings = [];
-            let mergedHidden = {};
-
-            if (!remoteData) {
-                // Nothing on Drive? Just push Local.
-                mergedBlocks = localData.blocks;
-                mergedSettings = localData.settings;
-                mergedHidden = localData.hiddenRoutines;
-            } else {
-                // Blocks Merge
-                const blockMap = new Map();
+            [calendars, prefs] = await Promise.all([Calendar.listCalendars(), Calendar.getCalendarPrefs()]);
+        } catch (e) {
+            list.textContent = 'Seznam kalendářů se nepodařilo načíst: ' + e.message;
+            return;
+        }
 
-                // 1. Add Remote blocks first
-                if (remoteData.blocks) {
-                    remoteData.blocks.forEach(b => blockMap.set(b.id, b));
-                }
+        list.innerHTML = '';
+        if (calendars.length === 0) {
+            list.textContent = 'Žádné kalendáře.';
+            return;
+        }
 
-                // 2. Overlay Local blocks, but ONLY if they are newer
-                if (localData.blocks) {
-                    localData.blocks.forEach(localBlock => {
-                        const remoteBlock = blockMap.get(localBlock.id);
-                        if (remoteBlock) {
-                            // Conflict: Compare timestamps
-                            const localTime = localBlock.updatedAt ? new Date(localBlock.updatedAt).getTime() : 0;
-                            const remoteTime = remoteBlock.updatedAt ? new Date(remoteBlock.updatedAt).getTime() : 0;
-
-                            if (localTime >= remoteTime) {
-                                // Local is newer -> Overwrite Remote in map
-                                blockMap.set(localBlock.id, localBlock);
-                            } else {
-                                // Remote is newer -> Keep Remote (do nothing)
-                                console.log(`Sync: Keeping newer remote block ${localBlock.title}`);
-                            }
-                        } else {
-                            // Local block not in remote -> Add it (New local block)
-                            blockMap.set(localBlock.id, localBlock);
-                        }
-                    });
-                }
-                mergedBlocks = Array.from(blockMap.values());
+        const categories = getBlockCategories();
+
+        calendars.forEach(calendar => {
+            const pref = prefs[calendar.id] || {};
+            const item = document.createElement('div');
+            item.className = 'list-item';
+            item.dataset.calendarId = calendar.id;
+
+            const name = document.createElement('label');
+            name.className = 'calendar-pref-name';
+            const visible = document.createElement('input');
+            visible.type = 'checkbox';
+            visible.name = 'visible';
+            visible.checked = Calendar.isCalendarVisible(prefs, calendar.id);
+            const title = document.createElement('span');
+            title.textContent = calendar.summaryOverride || calendar.summary || calendar.id;
+            title.title = title.textContent;
+            name.append(visible, title);
+            item.appendChild(name);
+
+            const actions = document.createElement('div');
+            actions.className = 'list-item-actions';
+
+            // No stored colour = automatic (events get distinct colours in the grid)
+            const color = document.createElement('input');
+            color.type = 'color';
+            color.name = 'color';
+            color.value = pref.color || calendar.backgroundColor || '#588aee';
+            color.dataset.custom = pref.color ? 'true' : 'false';
+            color.title = pref.color ? 'Vlastní barva' : 'Automatická barva';
+            color.addEventListener('input', () => {
+                color.dataset.custom = 'true';
+                color.title = 'Vlastní barva';
+            });
+            actions.appendChild(color);
+
+            const resetColor = document.createElement('button');
+            resetColor.type = 'button';
+            resetColor.className = 'btn btn-icon btn-sm';
+            resetColor.textContent = '×';
+            resetColor.title = 'Automatická barva';
+            resetColor.addEventListener('click', () => {
+                color.value = calendar.backgroundColor || '#588aee';
+                color.dataset.custom = 'false';
+                color.title = 'Automatická barva';
+            });
+            actions.appendChild(resetColor);
+
+            const category = document.createElement('select');
+            category.name = 'category';
+            category.title = 'Kategorie událostí';
+            category.append(new Option('Kalendář', ''),
+                ...categories.map(c => new Option(c.label, c.id)));
+            category.value = pref.category || '';
+            actions.appendChild(category);
+
+            item.appendChild(actions);
+            list.appendChild(item);
+        });
+        elements.calendarsSaveBtn.disabled = false;
+    }
 
-                // Settings Merge (Local Wins)
-                const settingMap = new Map();
-                if (remoteData.settings) remoteData.settings.forEach(s => settingMap.set(s.key, s));
-                if (localData.settings) localData.settings.forEach(s => settingMap.set(s.key, s));
-                mergedSettings = Array.from(settingMap.values());
+    /**
+     * Store the calendar selection and redraw with it
+     */
+    async function saveCalendarPrefs() {
+        elements.calendarsError.hidden = true;
+
+        const home = elements.homeTimezone.value.trim() || null;
+        if (home && !TimeZone.isValidZone(home)) {
+            elements.calendarsError.textContent = `Neznámé časové pásmo: ${home}`;
+            elements.calendarsError.hidden = false;
+            return;
+        }
 
-                // Hidden Routines Merge
-                mergedHidden = { ...remoteData.hiddenRoutines, ...localData.hiddenRoutines };
+        // First, while the click still allows Google's permission dialog
+        // (signed out, the publishing settings weren't shown - leave them as they are)
+        if (Calendar.getSignedInStatus()) {
+            try {
+                const publishSettings = await Publish.getSettings();
+                if (elements.publishEnabled.checked) {
+                    const categories = Array.from(elements.publishCategories.querySelectorAll('input:checked'))
+                        .map(checkbox => checkbox.value);
+                    await Publish.enable(categories.length > 0 ? categories : null);
+                } else if (publishSettings.enabled) {
+                    await Publish.disable();
+                }
+            } catch (e) {
+                elements.calendarsError.textContent = 'Publikování do kalendáře selhalo: ' + e.message;
+                elements.calendarsError.hidden = false;
+                return;
             }
+        }
 
-            const mergedData = {
-                blocks: mergedBlocks,
-                settings: mergedSettings,
-                hiddenRoutines: mergedHidden,
-                timestamp: Date.now()
+        const prefs = await Calendar.getCalendarPrefs();
+        elements.calendarsList.querySelectorAll('[data-calendar-id]').forEach(item => {
+            const color = item.querySelector('[name="color"]');
+            prefs[item.dataset.calendarId] = {
+                visible: item.querySelector('[name="visible"]').checked,
+                color: color.dataset.custom === 'true' ? color.value : null,
+                category: item.querySelector('[name="category"]').value || null
             };
+        });
 
-            // 4. Push MERGED data back to Drive (so other device gets my changes + I keep theirs)
-            await Calendar.saveData(mergedData);
+        const homeChanged = home !== TimeZone.getSettings().home;
+        try {
+            await Calendar.setCalendarPrefs(prefs);
+            await TimeZone.setSettings({ home, travel: elements.travelMode.checked });
+        } catch (e) {
+            alert('Nastavení kalendářů se nepodařilo uložit: ' + e.message);
+            return;
+        }
+        if (homeChanged) Publish.schedule(); // Published blocks move with the home zone
+        elements.calendarsModal.hidden = true;
+        await loadDate(currentDate);
+        triggerAutoSave();
+    }
 
-            // 5. Update Local Storage with MERGED data
-            await Storage.importBackup(mergedData, true); // Overwrite local with the Union
+    /**
+     * Open the sync backend settings
+     */
+    async function openSyncSettingsModal() {
+        const active = await Backends.getActive();
+        const config = await WebDAV.getConfig() || {};
+
+        elements.syncBackendSelect.replaceChildren(
+            ...Backends.list().map(backend => new Option(backend.label, backend.id))
+        );
+        elements.syncBackendSelect.value = active.id;
+        elements.webdavUrl.value = config.url || '';
+        elements.webdavUsername.value = config.username || '';
+        elements.webdavPassword.value = config.password || '';
+        elements.webdavSettings.hidden = active.id !== 'webdav';
+        elements.webdavTestBtn.hidden = elements.webdavSettings.hidden;
+        elements.syncSettingsMessage.hidden = true;
+
+        elements.syncSettingsModal.hidden = false;
+    }
 
-            // 6. Reload UI
-            await loadDate(currentDate);
-            updateCurrentTimeIndicator();
+    function readWebdavForm() {
+        return {
+            url: elements.webdavUrl.value.trim(),
+            username: elements.webdavUsername.value.trim(),
+            password: elements.webdavPassword.value
+        };
+    }
 
-            showSyncStatus('Synced (Merged)', 'success');
-        } catch (e) {
-            console.error('Sync failed', e);
-            showSyncStatus('Sync Failed', 'error');
-            alert('Chyba synchronizace: ' + e.message);
-        } finally {
-            btn.disabled = false;
-            btn.innerHTML = originalContent;
-            setTimeout(hideSyncStatus, 2000);
+    function showSyncSettingsMessage(message, isError = false) {
+        elements.syncSettingsMessage.textContent = message;
+        elements.syncSettingsMessage.classList.toggle('modal-error', isError);
+        elements.syncSettingsMessage.hidden = false;
+    }
+
+    /**
+     * Check the WebDAV settings without saving them
+     */
+    async function handleWebdavTest() {
+        const config = readWebdavForm();
+        if (!config.url) {
+            showSyncSettingsMessage('Zadejte adresu složky.', true);
+            return;
         }
+
+        showSyncSettingsMessage('Připojuji...');
+        try {
+            const exists = await WebDAV.testConnection(config);
+            showSyncSettingsMessage(exists
+                ? 'Spojení funguje, složka už obsahuje data - sloučí se s místními.'
+                : 'Spojení funguje, data se do složky nahrají při první synchronizaci.');
+        } catch (err) {
+            // fetch() rejects with a TypeError on network and CORS failures
+            showSyncSettingsMessage(err.status
+                ? `Server odmítl přístup (${err.status}). Zkontrolujte adresu a přihlašovací údaje.`
+                : 'Server není dostupný nebo nepovoluje přístup z této aplikace (CORS).', true);
+        }
+    }
+
+    /**
+     * Save the backend choice and sync with it
+     */
+    async function handleSyncSettingsSubmit(e) {
+        e.preventDefault();
+        const backendId = elements.syncBackendSelect.value;
+
+        if (backendId === 'webdav') {
+            const config = readWebdavForm();
+            if (!config.url) {
+                showSyncSettingsMessage('Zadejte adresu složky.', true);
+                return;
+            }
+            await WebDAV.setConfig(config);
+        }
+        await Backends.setActive(backendId);
+
+        elements.syncSettingsModal.hidden = true;
+        Sync.run('backend').catch(() => { });
     }
 
     /**
      * Handle Google sign in/out state change
+     * @param {boolean} signedIn
+     * @param {string} authState - Calendar.AUTH_STATE (reconnect: the session expired)
      */
-    function handleSignInChange(signedIn) {
+    function handleSignInChange(signedIn, authState) {
         const btn = elements.googleSigninBtn;
+        btn.classList.remove('reconnect');
         // ... (rest of logic same as before but ensured here)
-        if (signedIn) {
+        if (authState === Calendar.AUTH_STATE.RECONNECT) {
+            // Still "connected" as far as the user is concerned - one click renews the session
+            btn.innerHTML = `
+                <svg class="google-icon" viewBox="0 0 24 24" width="20" height="20" fill="none" stroke="currentColor"
+                    stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                    <polyline points="23 4 23 10 17 10"></polyline>
+                    <path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"></path>
+                </svg>
+                <span>Obnovit připojení</span>
+            `;
+            btn.title = 'Přihlášení ke Googlu vypršelo - klepnutím ho obnovíte';
+            btn.classList.remove('connected');
+            btn.classList.add('reconnect');
+            elements.syncCalendarBtn.hidden = true;
+        } else if (signedIn) {
+            btn.title = 'Odhlásit se';
             btn.innerHTML = `
                 <svg class="google-icon" viewBox="0 0 24 24" width="20" height="20">
                     <path fill="#34A853" d="M9 16.2L4.8 12l-1.4 1.4L9 19 21 7l-1.4-1.4L9 16.2z"/>
@@ -1049,6 +1761,7 @@ window.onerror = function (msg, url, line, col, error) {
                 </svg>
                 <span>Přihlásit se</span>
             `;
+            btn.title = 'Přihlásit se';
             btn.classList.remove('connected');
             elements.syncCalendarBtn.hidden = true;
         }
@@ -1151,44 +1864,23 @@ window.onerror = function (msg, url, line, col, error) {
         btn.classList.add('rotating');
 
         try {
-            // STEP 1: Pull AppData (tasks) - Merge remote changes
-            const remoteData = await syncFromDrive();
+            // STEP 1: Pull, merge and push AppData (tasks)
+            await Sync.run('calendar');
 
-            // STEP 2: Force Push Local Data - Ensure our changes are uploaded
-            await triggerAutoSave(true);
+            // STEP 2: Sync Calendar Events - only what changed since the last sync is
+            // downloaded into the calendar cache, which is also shown offline (see Calendar.syncEvents)
+            const { changed, removed } = await Calendar.syncEvents(TimeZone.today());
 
             // STEP 3: Load events/local data for UI
             await loadDate(currentDate);
 
-            // Get total local blocks for debug
-            const exportData = await Storage.exportBackup();
-            const localCount = exportData.blocks.length;
-
-            // Check if we found any events
-            const eventCount = calendarBlocks.length;
-
-            // Debug info
-            const remoteDebugInfo = remoteData && remoteData._debugFileId
-                ? `\nFile: ...${remoteData._debugFileId.slice(-4)}`
-                : '';
-            const remoteBlockCount = remoteData && remoteData.blocks ? remoteData.blocks.length : 'N/A';
-
-            alert(`Synchronizace OK!\n\n` +
-                `Místní úkoly: ${localCount} (Remote: ${remoteBlockCount})\n` +
-                `Kalendář: ${eventCount} událostí` +
-                remoteDebugInfo);
+            showSyncPanelMessage(`Kalendář: ${calendarBlocks.length} událostí dnes, ${changed} změněných a ${removed} odstraněných od minulé synchronizace.`);
         } catch (error) {
             console.error('Sync failed:', error);
 
             // Extract detailed error message if available
-            let errorMsg = 'Synchronizace selhala.';
-            if (error.result && error.result.error && error.result.error.message) {
-                errorMsg += '\nDetails: ' + error.result.error.message;
-            } else if (error.message) {
-                errorMsg += '\nError: ' + error.message;
-            }
-
-            alert(errorMsg + '\nZkuste se odhlásit a znovu přihlásit.');
+            const details = (error.result && error.result.error && error.result.error.message) || error.message;
+            showSyncPanelMessage(`Synchronizace selhala${details ? ': ' + details : '.'}`, true);
         } finally {
             // Keep spinning a bit longer for visual feedback
             setTimeout(() => {
@@ -1205,11 +1897,18 @@ window.onerror = function (msg, url, line, col, error) {
         updateDateDisplay();
 
         const dateStr = formatDateStr(date);
+        updateTimeLabels(dateStr);
 
         // Load routine blocks (appear every day)
         routineBlocks = Routines.getRoutinesForDate(dateStr);
+        try {
+            hiddenRoutineIds = await Storage.getHiddenRoutines(dateStr);
+        } catch (e) {
+            console.error('Failed to read hidden routines:', e);
+            hiddenRoutineIds = [];
+        }
 
-        // Load local blocks (user-created + cached calendar)
+        // Load local blocks (user-created)
         // PROTECT against Storage hanging
         let allLocalBlocks = [];
         try {
@@ -1222,40 +1921,12 @@ window.onerror = function (msg, url, line, col, error) {
             console.error('Storage read failed or timed out:', e);
             // alert('Debug: Storage read failed - App running in reduced mode');
         }
+        localBlocks = allLocalBlocks.filter(b => !b.fromCalendar);
 
-        // Load live calendar events
+        // Load calendar events - the cached copy (marked stale) when Google can't be reached,
+        // so routines stay hidden behind meetings offline too
         calendarBlocks = await Calendar.getEventsForDate(dateStr);
 
-
-        // Deduplication Logic:
-        // If we successfully fetched live events (calendarBlocks is not empty), use them.
-        // If live fetch failed or returned nothing (but we might be offline), we want to show cached.
-        // Problem: If user has 0 events today, calendarBlocks is empty -> we might show stale cache.
-        // Solution: If we are SIGNED IN and ONLINE, we trust live data (even if empty).
-        // But getEventsForDate returns [] on error too.
-        // Let's rely on IDs.
-
-        const liveIds = new Set(calendarBlocks.map(b => b.id));
-
-        // Filter local blocks:
-        // 1. Keep all user blocks (!fromCalendar)
-        // 2. Keep cached calendar blocks ONLY if they are NOT in live list AND we suspect we are offline.
-        // Actually, simplest robust approach:
-        // - Always show User Blocks
-        // - Always show Live Calendar Blocks
-        // - Show Cached Calendar Blocks ONLY if they are not in Live list.
-
-        localBlocks = allLocalBlocks.filter(b => {
-            if (!b.fromCalendar) return true; // Keep user blocks
-
-            // It's a cached calendar block.
-            // If we display it, we might duplicate it if live list has it too (but IDs match).
-            // If IDs match, `blocks` array merge later might handle it?
-            // `blocks` is just an array. If we have two objects with same ID, TimeBlocks.render might get confused or render both.
-            // TimeBlocks.render doesn't deduplicate by ID.
-            return !liveIds.has(b.id);
-        });
-
         // Combine all blocks (filtering routines that overlap calendar/are hidden)
         const filteredRoutines = getFilteredRoutines();
         blocks = [...filteredRoutines, ...localBlocks, ...calendarBlocks];
@@ -1269,8 +1940,6 @@ window.onerror = function (msg, url, line, col, error) {
      * Filter routines: remove those overlapping calendar events or hidden by user
      */
     function getFilteredRoutines() {
-        const dateStr = formatDateStr(currentDate);
-        const hiddenRoutineIds = getHiddenRoutines(dateStr);
         return routineBlocks.filter(routine => {
             if (hiddenRoutineIds.includes(routine.id)) return false;
             const overlapsCalendar = calendarBlocks.some(cal => {
@@ -1286,6 +1955,7 @@ window.onerror = function (msg, url, line, col, error) {
     function renderBlocks() {
         // Render main grid
         TimeBlocks.render(blocks);
+        renderHiddenRoutines();
 
         // Render all-day events
         // calendarBlocks is a global variable updated in loadDate
@@ -1335,7 +2005,14 @@ window.onerror = function (msg, url, line, col, error) {
      * Go to today
      */
     function goToToday() {
-        loadDate(new Date());
+        loadDate(homeToday());
+    }
+
+    /**
+     * Today in the home time zone (noon, so date arithmetic never crosses a day)
+     */
+    function homeToday() {
+        return new Date(`${TimeZone.today()}T12:00:00`);
     }
 
     /**
@@ -1416,11 +2093,16 @@ window.onerror = function (msg, url, line, col, error) {
 
         // Find the block
         const block = blocks.find(b => b.id === blockId);
-        if (!block || block.fromCalendar) return;
+        if (!block) return;
+
+        if (block.fromCalendar) {
+            if (block.editable) await updateCalendarBlock(block, { startTime, endTime });
+            return;
+        }
 
         if (block.isRoutine) {
             // Hide original routine, create local copy at new time
-            hideRoutine(formatDateStr(currentDate), block.id);
+            await hideRoutine(formatDateStr(currentDate), block.id);
 
             const newBlock = {
                 id: Storage.generateId(),
@@ -1450,6 +2132,31 @@ window.onerror = function (msg, url, line, col, error) {
         triggerAutoSave();
     }
 
+    /**
+     * Change an event of a writable calendar from the grid. The block moves right
+     * away and moves back if Google rejects the change.
+     * @param {Object} block - Editable calendar block
+     * @param {Object} changes - { title } and/or { startTime, endTime }
+     */
+    async function updateCalendarBlock(block, changes) {
+        const dateStr = formatDateStr(currentDate);
+        const previous = { title: block.title, startTime: block.startTime, endTime: block.endTime };
+        Object.assign(block, changes);
+        renderBlocks();
+
+        try {
+            await Calendar.updateEvent(block, { ...changes, date: dateStr });
+        } catch (error) {
+            console.error('Updating calendar event failed:', error);
+            Object.assign(block, previous);
+            renderBlocks();
+            const details = (error.result && error.result.error && error.result.error.message) || error.message;
+            showSyncPanelMessage(`Událost v kalendáři se nepodařilo změnit${details ? ': ' + details : '.'}`, true);
+            return;
+        }
+        await loadDate(currentDate);
+    }
+
     /**
      * Handle block click - SELECTS the block
      */
@@ -1511,8 +2218,8 @@ window.onerror = function (msg, url, line, col, error) {
         const block = blocks.find(b => b.id === blockId);
         if (!block) return;
 
-        // Cannot resize calendar events/routines typically (or let's restrict to local blocks for safety unless user wants all)
-        if (block.fromCalendar) {
+        // Events of calendars we can only read can't be changed
+        if (block.fromCalendar && !block.editable) {
             alert('Nelze měnit události z kalendáře.');
             return;
         }
@@ -1551,14 +2258,24 @@ window.onerror = function (msg, url, line, col, error) {
             return;
         }
 
+        if (block.fromCalendar && (newStartTime !== block.startTime || newEndTime !== block.endTime)) {
+            await updateCalendarBlock(block, { startTime: newStartTime, endTime: newEndTime });
+            setTimeout(() => {
+                selectBlock(blockId);
+            }, 50);
+            return;
+        }
+
         if (newStartTime !== block.startTime || newEndTime !== block.endTime) {
             // Update Block
             block.startTime = newStartTime;
             block.endTime = newEndTime;
+            block.updatedAt = new Date().toISOString(); // Timestamp for sync
 
             // Re-render
             await Storage.saveBlock(block);
             await loadDate(currentDate);
+            triggerAutoSave();
 
             // Re-select because re-render wipes DOM
             // We need to wait for render... loadDate does that.
@@ -1656,14 +2373,14 @@ window.onerror = function (msg, url, line, col, error) {
         // Hide delete button for calendar events only
         elements.deleteBlockBtn.style.display = block.fromCalendar ? 'none' : 'block';
 
-        // Disable form for calendar events only
-        const isCalendarEvent = block.fromCalendar;
-        elements.blockTitle.disabled = isCalendarEvent;
-        elements.blockStart.disabled = isCalendarEvent;
-        elements.blockEnd.disabled = isCalendarEvent;
+        // Disable form for events of read-only calendars (title and times of others can be changed)
+        const isReadOnly = block.fromCalendar && !block.editable;
+        elements.blockTitle.disabled = isReadOnly;
+        elements.blockStart.disabled = isReadOnly;
+        elements.blockEnd.disabled = isReadOnly;
         // Elements disabled for category picker unnecessary if hidden
         elements.categoryPicker.querySelectorAll('.category-btn').forEach(btn => {
-            btn.disabled = isCalendarEvent;
+            btn.disabled = block.fromCalendar;
         });
 
         elements.blockModal.hidden = false;
@@ -1684,14 +2401,26 @@ window.onerror = function (msg, url, line, col, error) {
         e.preventDefault();
 
         const block = blocks.find(b => b.id === editingBlockId);
-        if (!block || block.fromCalendar) {
+        if (!block || (block.fromCalendar && !block.editable)) {
+            closeModal();
+            return;
+        }
+
+        if (block.fromCalendar) {
+            const changes = {};
+            if (elements.blockTitle.value !== block.title) changes.title = elements.blockTitle.value;
+            if (elements.blockStart.value !== block.startTime || elements.blockEnd.value !== block.endTime) {
+                changes.startTime = elements.blockStart.value;
+                changes.endTime = elements.blockEnd.value;
+            }
             closeModal();
+            if (Object.keys(changes).length) await updateCalendarBlock(block, changes);
             return;
         }
 
         if (block.isRoutine) {
             // For routines: hide the original, create a new local block with changes
-            hideRoutine(formatDateStr(currentDate), block.id);
+            await hideRoutine(formatDateStr(currentDate), block.id);
 
             const newBlock = {
                 id: Storage.generateId(),
@@ -1744,7 +2473,7 @@ window.onerror = function (msg, url, line, col, error) {
 
         if (block.isRoutine) {
             // Hide routine for this day
-            hideRoutine(formatDateStr(currentDate), block.id);
+            await hideRoutine(formatDateStr(currentDate), block.id);
             await loadDate(currentDate);
             closeModal();
             return;
@@ -1758,26 +2487,61 @@ window.onerror = function (msg, url, line, col, error) {
     }
 
     /**
-     * Get hidden routine IDs for a date
+     * Hide a routine for a specific date
      */
-    function getHiddenRoutines(dateStr) {
-        try {
-            return JSON.parse(localStorage.getItem('hiddenRoutines_' + dateStr) || '[]');
-        } catch {
-            return [];
-        }
+    async function hideRoutine(dateStr, routineId) {
+        if (hiddenRoutineIds.includes(routineId)) return;
+
+        await Storage.setRoutineHidden(dateStr, routineId, true);
+        hiddenRoutineIds.push(routineId);
+        triggerAutoSave(); // Trigger sync
     }
 
     /**
-     * Hide a routine for a specific date
+     * Restore (un-hide) a routine for a specific date
+     */
+    async function restoreRoutine(dateStr, routineId) {
+        await Storage.setRoutineHidden(dateStr, routineId, false);
+        hiddenRoutineIds = hiddenRoutineIds.filter(id => id !== routineId);
+        triggerAutoSave();
+        await loadDate(currentDate);
+    }
+
+    /**
+     * Update the hidden routines button and list for the current day
      */
-    function hideRoutine(dateStr, routineId) {
-        const hidden = getHiddenRoutines(dateStr);
-        if (!hidden.includes(routineId)) {
-            hidden.push(routineId);
-            localStorage.setItem('hiddenRoutines_' + dateStr, JSON.stringify(hidden));
-            triggerAutoSave(); // Trigger sync
+    function renderHiddenRoutines() {
+        const hidden = routineBlocks.filter(r => hiddenRoutineIds.includes(r.id));
+
+        if (elements.hiddenRoutinesBtn) {
+            elements.hiddenRoutinesBtn.hidden = hidden.length === 0;
+            elements.hiddenRoutinesCount.textContent = hidden.length.toString();
+        }
+        if (!elements.hiddenRoutinesList) return;
+
+        elements.hiddenRoutinesList.innerHTML = '';
+        if (hidden.length === 0) {
+            elements.hiddenRoutinesList.textContent = 'Žádné skryté rutiny.';
+            return;
         }
+
+        hidden.forEach(routine => {
+            const item = document.createElement('div');
+            item.className = 'list-item';
+
+            const label = document.createElement('span');
+            label.textContent = `${routine.startTime}–${routine.endTime} ${routine.title}`;
+            item.appendChild(label);
+
+            const restoreBtn = document.createElement('button');
+            restoreBtn.type = 'button';
+            restoreBtn.className = 'btn btn-secondary btn-sm';
+            restoreBtn.textContent = 'Obnovit';
+            restoreBtn.addEventListener('click', () => restoreRoutine(formatDateStr(currentDate), routine.id));
+            item.appendChild(restoreBtn);
+
+            elements.hiddenRoutinesList.appendChild(item);
+        });
     }
 
     /**
@@ -1789,13 +2553,12 @@ window.onerror = function (msg, url, line, col, error) {
         const existing = document.querySelector('.current-time-indicator');
         if (existing) existing.remove();
 
-        // Only show for today
-        const today = new Date();
-        if (formatDateStr(today) !== formatDateStr(currentDate)) return;
+        // Only show for today - in the home time zone, like the grid
+        const now = TimeZone.toZoned(new Date());
+        if (now.date !== formatDateStr(currentDate)) return;
 
-        const now = new Date();
-        const hours = now.getHours();
-        const minutes = now.getMinutes();
+        const hours = now.hours;
+        const minutes = now.minutes;
         console.log(`DEBUG: Time: ${hours}:${minutes}, Grid: ${TimeBlocks.GRID_START_HOUR}-${TimeBlocks.GRID_END_HOUR}`);
 
         // Only show during grid hours
@@ -1841,12 +2604,9 @@ window.onerror = function (msg, url, line, col, error) {
         if (!slotCells[slotIndex]) return; // Safety check
         const currentSlot = slotCells[slotIndex];
 
-        const seconds = now.getSeconds();
         // NEW LOGIC v1.88: Simplified & Independent Calculation
-        // Redefining time variables to ensure no scope pollution.
-        const d = new Date();
-        const m = d.getMinutes();
-        const s = d.getSeconds();
+        const m = now.minutes;
+        const s = now.seconds;
 
         // 1. Identify Slot
         const sIdx = Math.floor(m / 15);
@@ -0,0 +1,97 @@
+/**
+ * backends.js - Sync backends (where the synced data lives)
+ *
+ * The sync engine talks to the active backend only through this interface:
+ * - isAvailable(): signed in / configured (may return a promise)
+ * - detectChanges(): cheap metadata of the main file
+ *     { id, version, duplicates: [meta] } or null if there is no file yet
+ * - load(meta, options): contents of a main file (decrypted), null if missing
+ * - save(data, { expectedVersion }): replace the main file only if it is still at
+ *     expectedVersion (null = must not exist yet), else throw an error with status 412;
+ *     resolves to { version } (version null if the server didn't report it)
+ * - files: { upload(name, body, contentType), download(id), remove(id) } for the
+ *     month files, which are only ever created and deleted (see partitions.js)
+ *
+ * The choice is stored per device (a local setting), like the credentials.
+ */
+
+const Backends = (function () {
+    const SETTING_KEY = 'syncBackend';
+    const DEFAULT_BACKEND = 'drive';
+
+    const registry = {};
+    let activeId = null;
+    let loading = null;
+
+    /**
+     * Google Drive AppData folder (through calendar.js, which owns the Google session)
+     */
+    const driveBackend = {
+        id: 'drive',
+        label: 'Google Disk',
+        isAvailable: () => Calendar.getSignedInStatus(),
+        detectChanges: () => Calendar.getDataFileMeta(),
+        load: (meta, options) => Calendar.loadData(meta, options),
+        save: (data, options) => Calendar.saveData(data, options),
+        files: {
+            upload: (name, body, contentType) => Calendar.uploadFile(name, body, contentType),
+            download: fileId => Calendar.downloadFile(fileId),
+            remove: fileId => Calendar.deleteDataFile(fileId)
+        }
+    };
+
+    /**
+     * Make a backend selectable
+     * @param {Object} backend - Implements the interface above, plus id and label
+     */
+    function register(backend) {
+        registry[backend.id] = backend;
+    }
+
+    /**
+     * List registered backends (for the settings screen)
+     */
+    function list() {
+        return Object.values(registry);
+    }
+
+    /**
+     * Get the backend chosen on this device
+     */
+    async function getActive() {
+        if (!activeId) {
+            loading = loading || Storage.getSetting(SETTING_KEY, DEFAULT_BACKEND).then(id => {
+                activeId = registry[id] ? id : DEFAULT_BACKEND;
+            });
+            await loading;
+        }
+        return registry[activeId];
+    }
+
+    /**
+     * Switch backends. Sync state of the old backend no longer applies,
+     * so the next sync does a full merge with the new one.
+     * @param {string} id - Backend ID
+     */
+    async function setActive(id) {
+        if (!registry[id]) throw new Error(`Unknown sync backend: ${id}`);
+        if (id === activeId) return;
+
+        await Storage.setSetting(SETTING_KEY, id);
+        await Storage.setSetting('lastSyncedRemoteVersion', null);
+        await Storage.setSetting('lastSyncedPartitions', {});
+        await Storage.setSetting('skippedDuplicates', {});
+        await Storage.setSetting('lastSyncClock', null);
+        activeId = id;
+    }
+
+    register(driveBackend);
+
+    // Public API
+    return {
+        register,
+        list,
+        getActive,
+        setActive
+    };
+})();
@@ -9,21 +9,51 @@ const Calendar = (function () {
 
     // Scopes: Calendar (read/write for events), CalendarList (read), Drive AppData (read/write)
     const SCOPES = 'https://www.googleapis.com/auth/calendar.events https://www.googleapis.com/auth/calendar.calendarlist.readonly https://www.googleapis.com/auth/drive.appdata';
+    // Calendars created by the app (the "Timeboxing" calendar, see publish.js) - requested
+    // only when publishing is turned on, so sign-in and silent renewals don't need it
+    const APP_CALENDAR_SCOPE = 'https://www.googleapis.com/auth/calendar.app.created';
     const DISCOVERY_DOCS = [
         'https://www.googleapis.com/discovery/v1/apis/calendar/v3/rest',
         'https://www.googleapis.com/discovery/v1/apis/drive/v3/rest'
     ];
 
+    const AUTH_STATE = {
+        SIGNED_OUT: 'signedOut',
+        SIGNED_IN: 'signedIn',
+        RECONNECT: 'reconnect' // Token expired and couldn't be renewed without the user
+    };
+    const REFRESH_MARGIN = 5 * 60 * 1000; // Renew the token this long before it expires
+    const REFRESH_TIMEOUT = 60 * 1000; // Give up on a token request that never answers
+
     let tokenClient = null;
     let gapiInited = false;
     let gisInited = false;
     let isSignedIn = false;
+    let authState = AUTH_STATE.SIGNED_OUT;
     let onSignInChange = null;
+    let refreshTimer = null;
+    let refreshing = null; // Promise of the silent refresh in flight
+    let pendingTokenRequest = null; // { resolve, reject } of the token request in flight
     const DATA_FILENAME = 'timeboxing-data.json';
+    const PREFS_SETTING = 'calendarPrefs'; // Synced: { [calendarId]: { visible, color, category } }
+
+    // Cache of calendar responses in IndexedDB (see Storage.getCalendarCache)
+    const LIST_CACHE_KEY = 'calendarList'; // { key, fetchedAt, items }
+    // + calendar ID: { key, calendarId, from, to, fetchedAt, syncToken, events }
+    const EVENTS_CACHE_PREFIX = 'events:';
+    const LIST_MAX_AGE = 60 * 60 * 1000; // Calendars are rarely added or removed
+    const EVENTS_MAX_AGE = 5 * 60 * 1000;
+    const WINDOW_DAYS_BEFORE = 7; // Days around the shown date kept in sync
+    const WINDOW_DAYS_AFTER = 21;
+    const fetching = {}; // Cache key -> promise of the request in flight
+
+    // Drive file version this device last read or wrote (undefined = not read yet, null = no file)
+    let knownVersion;
 
 
     /**
      * Initialize the Google API client
+     * @param {Function} signInCallback - Called with (isSignedIn, authState) when the state changes
      */
     async function init(signInCallback) {
         onSignInChange = signInCallback;
@@ -48,7 +78,9 @@ const Calendar = (function () {
         tokenClient = google.accounts.oauth2.initTokenClient({
             client_id: CLIENT_ID,
             scope: SCOPES,
+            include_granted_scopes: true, // Renewals keep the app calendar scope once granted
             callback: handleTokenResponse,
+            error_callback: (error) => failTokenRequest(new Error(`Token request failed: ${error.type}`)),
         });
 
         gisInited = true;
@@ -57,10 +89,13 @@ const Calendar = (function () {
         const storedToken = await Storage.getSetting('google_token');
         if (storedToken) {
             gapi.client.setToken(storedToken);
-            isSignedIn = true;
-
-            // Validate token (optional but good) - for now just assume valid or handle 401 later
-            if (onSignInChange) onSignInChange(true);
+            if (isTokenFresh(storedToken)) {
+                setAuthState(AUTH_STATE.SIGNED_IN);
+                scheduleRefresh(storedToken);
+            } else {
+                // Expired while the app was closed
+                refreshToken().catch(() => { });
+            }
         }
 
         return gapiInited && gisInited;
@@ -70,43 +105,69 @@ const Calendar = (function () {
 
     /**
      * Find the data file in AppData folder
+     * @returns {Object|null} { id, version, modifiedTime, size } or null if there is no file
      */
-    async function findDataFile() {
-        if (!isSignedIn) return null;
+    async function getDataFileMeta() {
+        if (!isSignedIn) throw authError(); // null would mean "no file yet"
         try {
-            const response = await gapi.client.drive.files.list({
+            const response = await withAuth(() => gapi.client.drive.files.list({
                 spaces: 'appDataFolder',
-                fields: 'nextPageToken, files(id, name, createdTime)',
+                fields: 'nextPageToken, files(id, name, createdTime, modifiedTime, version, size)',
                 q: `name = '${DATA_FILENAME}'`,
                 orderBy: 'createdTime', // Oldest first (stable master)
                 pageSize: 10
-            });
+            }));
             const files = response.result.files;
             if (files && files.length > 0) {
                 if (files.length > 1) {
+                    // Created by devices that didn't see the original - sync merges and deletes them
                     console.warn('Multiple data files found! Using oldest:', files[0].id);
-                    // alert('Debug: Found multiple data files. Using original.');
                 }
-                return files[0].id;
+                return { ...files[0], duplicates: files.slice(1) };
             }
             return null;
         } catch (err) {
+            // Don't report "no file" on errors - callers would create a duplicate
             console.error('Error finding data file:', err);
-            return null;
+            throw err;
         }
     }
 
     /**
-     * Save data to Google Drive AppData
+     * Find the data file ID in AppData folder
+     */
+    async function findDataFile() {
+        const meta = await getDataFileMeta();
+        return meta ? meta.id : null;
+    }
+
+    /**
+     * Save data to Google Drive AppData.
+     * Before uploading, the file's version is compared with the one this device last read;
+     * if it moved on, this fails with status 412 and the caller should pull, merge and retry.
+     * Drive has no conditional upload, so the check is best-effort: a device saving between
+     * the check and the upload can still be overwritten.
      * @param {Object} data - Application data object
+     * @param {Object} options
+     * @param {string|null} options.expectedVersion - Version the data was merged with
+     *   (defaults to the version last read or written here)
      */
-    async function saveData(data) {
-        if (!isSignedIn) return;
+    async function saveData(data, { expectedVersion = knownVersion } = {}) {
+        if (!isSignedIn) throw authError();
         try {
-            const dataStr = JSON.stringify(data);
-            console.log(`Debug: Saving ${dataStr.length} bytes to Drive. Blocks: ${data.blocks.length}`);
+            const dataStr = JSON.stringify(await Encryption.seal(data));
+            console.log(`Debug: Saving ${dataStr.length} bytes to Drive.`);
 
-            const fileId = await findDataFile();
+            const meta = await getDataFileMeta();
+            const fileId = meta ? meta.id : null;
+            const currentVersion = meta ? meta.version : null;
+
+            if (currentVersion !== (expectedVersion === undefined ? null : expectedVersion)) {
+                console.warn(`Drive file changed since last read (expected v${expectedVersion}, found v${currentVersion})`);
+                const conflictErr = new Error('Data na Disku se mezitím změnila');
+                conflictErr.status = 412; // Precondition Failed
+                throw conflictErr;
+            }
 
             const boundary = '-------314159265358979323846';
             const delimiter = "\r\n--" + boundary + "\r\n";
@@ -135,71 +196,270 @@ const Calendar = (function () {
                 dataStr +
                 close_delim;
 
-            await gapi.client.request({
+            const response = await withAuth(() => gapi.client.request({
                 path: fileId ? `/upload/drive/v3/files/${fileId}` : '/upload/drive/v3/files',
                 method: fileId ? 'PATCH' : 'POST',
-                params: { 'uploadType': 'multipart' },
+                params: { 'uploadType': 'multipart', 'fields': 'id, version' },
                 headers: {
                     'Content-Type': 'multipart/related; boundary="' + boundary + '"'
                 },
                 body: multipartRequestBody
-            });
+            }));
+            knownVersion = response.result.version;
 
-            console.log('Data saved to Drive successfully');
-            return true; // Return true to indicate success
+            console.log(`Data saved to Drive successfully (v${knownVersion})`);
+            return response.result; // { id, version } - truthy on success
         } catch (err) {
             console.error('Error saving to Drive:', err);
-
-            // Show visible error for debugging
-            const msg = err.result?.error?.message || err.message || JSON.stringify(err);
-            // alert(`Save Failed: ${msg}\n\nPlease check console for more details.`);
-
-            if (err.status === 401) handleAuthError();
-            throw err; // Ensure caller knows
+            throw err; // Ensure caller knows (412 = remote changed, pull and retry)
         }
     }
 
     /**
      * Load data from Google Drive AppData
+     * @param {Object} knownMeta - Result of getDataFileMeta() if the caller already has it
+     * @param {Object} options
+     * @param {boolean} options.trackVersion - Remember the file version for saveData
+     *   (off when reading a duplicate file)
      */
-    async function loadData() {
-        if (!isSignedIn) return null;
+    async function loadData(knownMeta, { trackVersion = true } = {}) {
+        if (!isSignedIn) throw authError();
         try {
-            const fileId = await findDataFile();
-            if (!fileId) return null; // No remote data yet
+            const meta = knownMeta !== undefined ? knownMeta : await getDataFileMeta();
+            if (!meta) {
+                if (trackVersion) knownVersion = null;
+                return null; // No remote data yet
+            }
+            const fileId = meta.id;
 
-            const response = await gapi.client.drive.files.get({
+            const response = await withAuth(() => gapi.client.drive.files.get({
                 fileId: fileId,
                 alt: 'media'
-            });
+            }));
 
             if (response.status === 200) {
                 // Debug log
-                const data = response.result; // gapi parses JSON auto?
+                let data = response.result; // gapi parses JSON auto?
                 // If response.body is string, parse it.
                 // gapi.client usually returns JSON object in .result if content-type is json
                 // But for alt=media... let's check.
                 // Actually gapi handles it.
 
                 const size = JSON.stringify(data).length;
-                console.log(`Debug: Loaded ${size} bytes from Drive. Blocks: ${data.blocks ? data.blocks.length : 0}`);
+                if (Encryption.isEnvelope(data)) {
+                    data = await Encryption.open(data); // Throws PASSPHRASE_REQUIRED / WRONG_PASSPHRASE
+                }
+                console.log(`Debug: Loaded ${size} bytes from Drive.`);
 
-                // Return data AND fileId for debug
-                data._debugFileId = fileId;
+                // Everything merged from this read may be saved over this version
+                if (trackVersion) knownVersion = meta.version;
                 return data;
             }
             return null;
         } catch (err) {
             console.error('Error loading from Drive:', err);
-            if (err.status === 401) handleAuthError();
+            // Encryption and auth errors need the user, not a silent "no data"
+            if (err.code || err.status === 401) throw err;
             return null;
         }
     }
 
-    function handleAuthError() {
-        isSignedIn = false;
-        Storage.setSetting('google_token', null); // Clear invalid token
-        if (onSignInChange) onSignInChange(false);
+    /**
+     * Authorization header for direct (fetch) requests - gapi.client can't send binary bodies
+     */
+    function authHeaders() {
+        const token = gapi.client.getToken();
+        return { 'Authorization': `Bearer ${token ? token.access_token : ''}` };
+    }
+
+    /**
+     * Throw for a failed fetch, with the HTTP status like gapi errors have
+     */
+    async function checkResponse(response) {
+        if (response.ok) return response;
+        const err = new Error(`Drive request failed (${response.status})`);
+        err.status = response.status; // 401 is retried by withAuth
+        throw err;
+    }
+
+    /**
+     * Create a new file in AppData (partition files are never updated in place)
+     * @param {string} name - File name
+     * @param {Blob|Uint8Array|string} body - File content
+     * @param {string} contentType - MIME type of the content
+     * @returns {Object} { id, size }
+     */
+    async function uploadFile(name, body, contentType) {
+        if (!isSignedIn) throw authError();
+        const boundary = '-------314159265358979323846';
+        const metadata = { name, mimeType: contentType, parents: ['appDataFolder'] };
+        const multipartBody = new Blob([
+            `--${boundary}\r\nContent-Type: application/json\r\n\r\n${JSON.stringify(metadata)}\r\n`,
+            `--${boundary}\r\nContent-Type: ${contentType}\r\n\r\n`,
+            body,
+            `\r\n--${boundary}--`
+        ]);
+
+        const response = await withAuth(async () => checkResponse(await fetch('https://www.googleapis.com/upload/drive/v3/files?uploadType=multipart&fields=id,size', {
+            method: 'POST',
+            headers: { ...authHeaders(), 'Content-Type': `multipart/related; boundary="${boundary}"` },
+            body: multipartBody
+        })));
+        return response.json();
+    }
+
+    /**
+     * Download a file's raw content
+     * @param {string} fileId - Drive file ID
+     * @returns {ArrayBuffer}
+     */
+    async function downloadFile(fileId) {
+        if (!isSignedIn) throw authError();
+        const response = await withAuth(async () => checkResponse(await fetch(`https://www.googleapis.com/drive/v3/files/${fileId}?alt=media`, {
+            headers: authHeaders()
+        })));
+        return response.arrayBuffer();
+    }
+
+    /**
+     * Delete a data file from AppData (duplicate cleanup)
+     * @param {string} fileId - Drive file ID
+     */
+    async function deleteDataFile(fileId) {
+        if (!isSignedIn) throw authError(); // Resolving would count the file as deleted
+        try {
+            await withAuth(() => gapi.client.drive.files.delete({ fileId }));
+            console.log(`Deleted data file ${fileId}`);
+        } catch (err) {
+            console.error('Error deleting data file:', err);
+            throw err;
+        }
+    }
+
+    /**
+     * Switch the auth state and tell the app (only on an actual change)
+     */
+    function setAuthState(state) {
+        isSignedIn = state === AUTH_STATE.SIGNED_IN;
+        if (state === authState) return;
+        authState = state;
+        if (onSignInChange) onSignInChange(isSignedIn, authState);
+    }
+
+    function isTokenFresh(token) {
+        // Tokens stored before expiry tracking are assumed valid until a 401 says otherwise
+        return !token.expires_at || token.expires_at - Date.now() > REFRESH_MARGIN;
+    }
+
+    /**
+     * Renew the token shortly before it expires
+     */
+    function scheduleRefresh(token) {
+        if (refreshTimer) clearTimeout(refreshTimer);
+        refreshTimer = null;
+        if (!token.expires_at) return;
+
+        const delay = Math.max(0, token.expires_at - Date.now() - REFRESH_MARGIN);
+        refreshTimer = setTimeout(() => {
+            refreshTimer = null;
+            refreshToken().catch(() => { });
+        }, delay);
+    }
+
+    /**
+     * Ask Google Identity Services for a token
+     * @param {string} prompt - '' for silent, 'consent' for the full dialog
+     * @param {Object} options - Extra token request options (e.g. an added scope)
+     * @returns {Promise} Resolves when handleTokenResponse has stored the token
+     */
+    function requestToken(prompt, options = {}) {
+        failTokenRequest(new Error('Token request superseded'));
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => failTokenRequest(new Error('Token request timed out')), REFRESH_TIMEOUT);
+            pendingTokenRequest = {
+                resolve: () => { clearTimeout(timeout); resolve(); },
+                reject: (err) => { clearTimeout(timeout); reject(err); }
+            };
+            tokenClient.requestAccessToken({ ...options, prompt });
+        });
+    }
+
+    function failTokenRequest(err) {
+        const request = pendingTokenRequest;
+        pendingTokenRequest = null;
+        if (request) request.reject(err);
+    }
+
+    /**
+     * Error for requests that can't be made without a valid token (sync shows it
+     * as paused until the user reconnects)
+     */
+    function authError() {
+        const err = new Error('Přihlášení ke Googlu vypršelo');
+        err.status = 401;
+        return err;
+    }
+
+    /**
+     * Silently renew the access token. If Google needs the user (or the popup is
+     * blocked), switch to the reconnect state instead of signing out - once the
+     * current token has actually expired.
+     * @returns {Promise} Rejects with a 401 error when the token couldn't be renewed
+     */
+    function refreshToken() {
+        if (!refreshing) {
+            refreshing = requestToken('')
+                .catch((e) => {
+                    console.warn('Silent token refresh failed:', e.message);
+                    const token = gapi.client.getToken();
+                    if (token && token.expires_at > Date.now()) {
+                        // Still valid for a few minutes - try once more when it runs out
+                        if (refreshTimer) clearTimeout(refreshTimer);
+                        refreshTimer = setTimeout(() => {
+                            refreshTimer = null;
+                            refreshToken().catch(() => { });
+                        }, token.expires_at - Date.now());
+                    } else {
+                        setAuthState(AUTH_STATE.RECONNECT);
+                    }
+                    throw authError();
+                })
+                .finally(() => {
+                    refreshing = null;
+                });
+        }
+        return refreshing;
+    }
+
+    /**
+     * Run a Google API request with a valid token: renew it first if it is about
+     * to expire, and retry once after renewing if the request still gets a 401.
+     * @param {Function} request - Makes the request (called again for the retry)
+     */
+    async function withAuth(request) {
+        const token = gapi.client.getToken();
+        if (token && !isTokenFresh(token)) {
+            await refreshToken().catch((e) => {
+                if (token.expires_at <= Date.now()) throw e; // Else the old token still works
+            });
+        }
+
+        try {
+            return await request();
+        } catch (err) {
+            if (err.status !== 401) throw err;
+            console.log('Access token rejected, refreshing and retrying');
+            await refreshToken().catch((e) => {
+                setAuthState(AUTH_STATE.RECONNECT); // Google rejects the current token
+                throw e;
+            });
+            try {
+                return await request();
+            } catch (retryErr) {
+                if (retryErr.status === 401) setAuthState(AUTH_STATE.RECONNECT);
+                throw retryErr;
+            }
+        }
     }
 
     /**
@@ -218,7 +478,10 @@ const Calendar = (function () {
             script.async = true;
             script.defer = true;
             script.onload = resolve;
-            script.onerror = reject;
+            script.onerror = (e) => {
+                script.remove(); // Offline - let a later init try again
+                reject(e);
+            };
             document.head.appendChild(script);
         });
     }
@@ -229,17 +492,23 @@ const Calendar = (function () {
     async function handleTokenResponse(response) {
         if (response.error) {
             console.error('Token error:', response.error);
-            isSignedIn = false;
-            if (onSignInChange) onSignInChange(false);
+            failTokenRequest(new Error(response.error));
             return;
         }
 
-        // Store the token
-        const token = gapi.client.getToken();
+        // Store the token with its expiry
+        const token = {
+            ...gapi.client.getToken(),
+            expires_at: Date.now() + Number(response.expires_in || 3600) * 1000
+        };
+        gapi.client.setToken(token);
         await Storage.setSetting('google_token', token);
+        scheduleRefresh(token);
 
-        isSignedIn = true;
-        if (onSignInChange) onSignInChange(true);
+        const request = pendingTokenRequest;
+        pendingTokenRequest = null;
+        setAuthState(AUTH_STATE.SIGNED_IN);
+        if (request) request.resolve();
     }
 
     /**
@@ -251,13 +520,11 @@ const Calendar = (function () {
             return;
         }
 
-        if (gapi.client.getToken() === null) {
-            // First time sign in - request consent
-            tokenClient.requestAccessToken({ prompt: 'consent' });
-        } else {
-            // Already have token, just refresh
-            tokenClient.requestAccessToken({ prompt: '' });
-        }
+        // First time sign in - request consent; already have a token (reconnect) - just refresh
+        const prompt = gapi.client.getToken() === null ? 'consent' : '';
+        requestToken(prompt).catch((e) => {
+            console.warn('Sign in failed:', e.message); // State unchanged - the user can try again
+        });
     }
 
     /**
@@ -270,128 +537,498 @@ const Calendar = (function () {
             gapi.client.setToken('');
             await Storage.setSetting('google_token', null);
         }
+        await Storage.clearCalendarCache(); // The next account has other calendars
 
-        isSignedIn = false;
-        if (onSignInChange) onSignInChange(false);
+        if (refreshTimer) clearTimeout(refreshTimer);
+        refreshTimer = null;
+        setAuthState(AUTH_STATE.SIGNED_OUT);
     }
 
     /**
-     * Get events for a specific date
-     * @param {string} date - Date in YYYY-MM-DD format
-     * @returns {Array} Array of calendar events
+     * List the user's calendars (always asks Google, and refreshes the cached list)
+     * @returns {Array} calendarList items ({ id, summary, backgroundColor, primary, accessRole, ... })
      */
-    async function getEventsForDate(date) {
-        if (!isSignedIn) {
-            return [];
+    async function listCalendars() {
+        if (!isSignedIn) return [];
+        const response = await withAuth(() => gapi.client.calendar.calendarList.list({
+            minAccessRole: 'reader'
+        }));
+        const items = response.result.items || [];
+        await Storage.setCalendarCache({ key: LIST_CACHE_KEY, fetchedAt: Date.now(), items });
+        return items;
+    }
+
+    /**
+     * Run a request once even if several callers ask for it at the same time
+     */
+    function fetchOnce(key, request) {
+        if (!fetching[key]) {
+            fetching[key] = request().finally(() => {
+                delete fetching[key];
+            });
         }
+        return fetching[key];
+    }
 
+    function isFresh(entry, maxAge) {
+        return !!entry && Date.now() - entry.fetchedAt < maxAge;
+    }
+
+    /**
+     * The user's calendars, from the cache while it is fresh (or Google can't be reached)
+     */
+    async function getCalendars() {
+        const cached = await Storage.getCalendarCache(LIST_CACHE_KEY);
+        if (!isSignedIn || isFresh(cached, LIST_MAX_AGE)) return cached ? cached.items : [];
         try {
-            const timeMin = new Date(date + 'T00:00:00').toISOString();
-            const timeMax = new Date(date + 'T23:59:59').toISOString();
+            return await fetchOnce(LIST_CACHE_KEY, listCalendars);
+        } catch (err) {
+            if (!cached) throw err;
+            console.warn('Could not refresh the calendar list, using the cached one:', err);
+            return cached.items;
+        }
+    }
 
-            // 1. Get list of all calendars
-            const calendarListResponse = await gapi.client.calendar.calendarList.list({
-                minAccessRole: 'reader'
-            });
-            // Debug: Log all calendar names
-            if (calendarListResponse.result.items) {
-                console.group('Available Calendars:');
-                calendarListResponse.result.items.forEach(c => console.log(`"${c.summary}" (ID: ${c.id})`));
-                console.groupEnd();
-            }
+    function formatDate(date) {
+        return [
+            date.getFullYear(),
+            String(date.getMonth() + 1).padStart(2, '0'),
+            String(date.getDate()).padStart(2, '0')
+        ].join('-');
+    }
+
+    /**
+     * Date string (YYYY-MM-DD) a number of days from another
+     */
+    function addDays(date, days) {
+        const result = new Date(`${date}T12:00:00`);
+        result.setDate(result.getDate() + days);
+        return formatDate(result);
+    }
+
+    /**
+     * Whether an event takes up any part of the days from-to (all-day end dates are exclusive)
+     */
+    function overlapsDates(event, from, to = from) {
+        if (!event.start || !event.end) return false;
+        if (event.start.date) {
+            return event.start.date <= to && from < event.end.date;
+        }
+        return new Date(event.start.dateTime) < new Date(toDateTime(to, '24:00')) &&
+            new Date(event.end.dateTime) > new Date(toDateTime(from, '00:00'));
+    }
 
-            const calendars = (calendarListResponse.result.items || [])
-                .filter(cal => {
-                    const name = (cal.summary || '').toLowerCase();
-                    // Robust check: Filter if it contains both "anet" and "nemocnice"
-                    if (name.includes('anet') && name.includes('nemocnice')) {
-                        console.log(`Filtering out calendar: ${cal.summary}`);
-                        return false;
+    /**
+     * Days kept in sync for a calendar: its cached window while that covers the
+     * date, else a new window around the date
+     */
+    function windowFor(cached, date) {
+        if (cached && cached.from <= date && date <= cached.to) {
+            return { from: cached.from, to: cached.to };
+        }
+        return { from: addDays(date, -WINDOW_DAYS_BEFORE), to: addDays(date, WINDOW_DAYS_AFTER) };
+    }
+
+    /**
+     * events.list over all pages
+     * @returns {Object} { items, nextSyncToken }
+     */
+    async function listAllEvents(params) {
+        const items = [];
+        let pageToken;
+        let response;
+        do {
+            response = await withAuth(() => gapi.client.calendar.events.list({ ...params, maxResults: 2500, pageToken }));
+            items.push(...(response.result.items || []));
+            pageToken = response.result.nextPageToken;
+        } while (pageToken);
+        return { items, nextSyncToken: response.result.nextSyncToken || null };
+    }
+
+    /**
+     * Bring the cached events of a calendar up to date. With the sync token of the
+     * last request only the changes since then are downloaded; without one (a new
+     * window or home time zone, or a token Google expired - 410) the whole window is fetched again.
+     * @param {Object} calendar - calendarList item
+     * @param {string} from - First day of the window (YYYY-MM-DD)
+     * @param {string} to - Last day of the window
+     * @returns {Object} { entry, changed, removed, full } - changed events, IDs of removed ones
+     */
+    async function syncCalendar(calendar, from, to) {
+        const key = EVENTS_CACHE_PREFIX + calendar.id;
+        const cached = await Storage.getCalendarCache(key);
+        const timeZone = TimeZone.homeZone(); // The days of the window are days there
+        let result = null;
+
+        if (cached && cached.syncToken && cached.from === from && cached.to === to && cached.timeZone === timeZone) {
+            try {
+                const { items, nextSyncToken } = await listAllEvents({
+                    calendarId: calendar.id,
+                    syncToken: cached.syncToken,
+                    singleEvents: true
+                });
+                const events = new Map(cached.events.map(event => [event.id, event]));
+                const changed = [];
+                const removed = [];
+                items.forEach(event => {
+                    if (event.status !== 'cancelled' && overlapsDates(event, from, to)) {
+                        events.set(event.id, event);
+                        changed.push(event);
+                    } else if (events.delete(event.id)) {
+                        removed.push(event.id); // Cancelled, or moved out of the window
                     }
-                    return true;
                 });
+                result = { events: [...events.values()], syncToken: nextSyncToken, changed, removed, full: false };
+            } catch (err) {
+                if (err.status !== 410) throw err;
+                console.log(`Calendar ${calendar.summary}: sync token expired, fetching all events`);
+            }
+        }
 
-            // 2. Fetch events for each calendar in parallel
-            const eventPromises = calendars.map(async (calendar) => {
+        if (!result) {
+            const { items, nextSyncToken } = await listAllEvents({
+                calendarId: calendar.id,
+                timeMin: toDateTime(from, '00:00'),
+                timeMax: toDateTime(to, '24:00'),
+                singleEvents: true
+            });
+            result = { events: items, syncToken: nextSyncToken, changed: items, removed: [], full: true };
+        }
+
+        const byStart = (a, b) => {
+            const start = event => new Date(event.start.dateTime || `${event.start.date}T00:00:00`).getTime();
+            return start(a) - start(b);
+        };
+        const entry = {
+            key, calendarId: calendar.id, from, to, timeZone, fetchedAt: Date.now(),
+            syncToken: result.syncToken,
+            events: result.events.sort(byStart)
+        };
+        await Storage.setCalendarCache(entry);
+        return { entry, changed: result.changed, removed: result.removed, full: result.full };
+    }
+
+    /**
+     * Events of a calendar around a date, from the cache while it is fresh
+     * (a stale cache only asks Google for the changes, see syncCalendar).
+     * When Google can't be reached, the last cached copy is used and marked stale.
+     * @returns {Object} { events, stale }
+     */
+    async function getCalendarEvents(calendar, date) {
+        const key = EVENTS_CACHE_PREFIX + calendar.id;
+        const cached = await Storage.getCalendarCache(key);
+        const { from, to } = windowFor(cached, date);
+        const covers = !!cached && cached.from === from;
+
+        if (!isSignedIn) return { events: covers ? cached.events : [], stale: true };
+        if (covers && cached.timeZone === TimeZone.homeZone() && isFresh(cached, EVENTS_MAX_AGE)) {
+            return { events: cached.events, stale: false };
+        }
+
+        try {
+            const result = await fetchOnce(`${key}|${from}|${to}`, () => syncCalendar(calendar, from, to));
+            return { events: result.entry.events, stale: false };
+        } catch (err) {
+            if (!covers) throw err;
+            console.warn(`Could not sync calendar ${calendar.summary}, showing cached events:`, err);
+            return { events: cached.events, stale: true };
+        }
+    }
+
+    /**
+     * Sync the events of every shown calendar with Google now, whatever the cache age
+     * @param {string} date - Date the windows should cover (YYYY-MM-DD)
+     * @returns {Object} { changed, removed } - Numbers of events
+     */
+    async function syncEvents(date) {
+        if (!isSignedIn) return { changed: 0, removed: 0 };
+        const prefs = await getCalendarPrefs();
+        const calendars = (await listCalendars()).filter(cal => isCalendarVisible(prefs, cal.id));
+
+        const results = await Promise.allSettled(calendars.map(async (calendar) => {
+            const key = EVENTS_CACHE_PREFIX + calendar.id;
+            const { from, to } = windowFor(await Storage.getCalendarCache(key), date);
+            return fetchOnce(`${key}|${from}|${to}`, () => syncCalendar(calendar, from, to));
+        }));
+
+        const failed = results.filter(result => result.status === 'rejected');
+        failed.forEach(result => console.warn('Could not sync calendar events:', result.reason));
+        if (failed.length && failed.length === results.length) throw failed[0].reason;
+
+        return results
+            .filter(result => result.status === 'fulfilled')
+            .reduce((totals, { value }) => ({
+                changed: totals.changed + value.changed.length,
+                removed: totals.removed + value.removed.length
+            }), { changed: 0, removed: 0 });
+    }
+
+    /**
+     * Put a changed event into the cache, so the grid shows it before the next sync
+     */
+    async function cacheEvent(calendarId, event) {
+        const entry = await Storage.getCalendarCache(EVENTS_CACHE_PREFIX + calendarId);
+        if (!entry) return;
+        entry.events = entry.events.map(cached => (cached.id === event.id ? event : cached));
+        await Storage.setCalendarCache(entry);
+    }
+
+    /**
+     * Per-calendar display settings chosen by the user (missing entry = defaults)
+     * @returns {Object} { [calendarId]: { visible, color, category } }
+     */
+    async function getCalendarPrefs() {
+        return Storage.getSetting(PREFS_SETTING, {});
+    }
+
+    /**
+     * Store per-calendar display settings (synced to other devices)
+     */
+    async function setCalendarPrefs(prefs) {
+        await Storage.setSetting(PREFS_SETTING, prefs);
+    }
+
+    /**
+     * Whether events of a calendar are shown (calendars are visible unless turned off)
+     */
+    function isCalendarVisible(prefs, calendarId) {
+        const pref = prefs[calendarId];
+        return !(pref && pref.visible === false);
+    }
+
+    /**
+     * Block ID of an event published from a timebox (null for other events)
+     */
+    function getPublishedBlockId(event) {
+        const props = event.extendedProperties && event.extendedProperties.private;
+        return (props && props.timeboxingBlockId) || null;
+    }
+
+    /**
+     * Make sure the token allows managing the app's own calendar. The scope isn't part
+     * of sign-in, so the first time it takes one consent dialog (call from a click handler);
+     * later renewals keep it as an already granted scope.
+     * @returns {boolean} Whether the scope is granted now
+     */
+    async function ensureAppCalendarScope() {
+        if (!isSignedIn) return false;
+        const hasScope = () => {
+            const token = gapi.client.getToken();
+            return !!(token && token.scope && token.scope.split(' ').includes(APP_CALENDAR_SCOPE));
+        };
+        if (hasScope()) return true;
+
+        try {
+            await requestToken('consent', { scope: APP_CALENDAR_SCOPE, include_granted_scopes: true });
+        } catch (e) {
+            console.warn('Calendar permission not granted:', e.message);
+        }
+        return hasScope();
+    }
+
+    /**
+     * Find a calendar owned by the user by name, or create it
+     * @param {string} summary - Calendar name
+     * @returns {Object} { id, summary, created }
+     */
+    async function findOrCreateCalendar(summary) {
+        const existing = (await listCalendars())
+            .find(cal => cal.summary === summary && cal.accessRole === 'owner');
+        if (existing) return { id: existing.id, summary, created: false };
+
+        const response = await withAuth(() => gapi.client.calendar.calendars.insert({
+            resource: { summary, timeZone: TimeZone.homeZone() }
+        }));
+        console.log(`Created calendar "${summary}" (${response.result.id})`);
+        return { id: response.result.id, summary, created: true };
+    }
+
+    /**
+     * Create or replace an event under a fixed ID (so repeating it is harmless)
+     * @param {string} calendarId
+     * @param {string} eventId - Client-chosen ID (base32hex: 0-9 and a-v, 5-1024 chars)
+     * @param {Object} resource - Event resource (without id)
+     */
+    async function putEvent(calendarId, eventId, resource) {
+        try {
+            // A deleted event keeps its ID - updating it with status confirmed brings it back
+            const response = await withAuth(() => gapi.client.calendar.events.update({
+                calendarId, eventId, resource: { ...resource, status: 'confirmed' }
+            }));
+            return response.result;
+        } catch (err) {
+            if (err.status !== 404) throw err;
+            const response = await withAuth(() => gapi.client.calendar.events.insert({
+                calendarId, resource: { ...resource, id: eventId }
+            }));
+            return response.result;
+        }
+    }
+
+    /**
+     * Delete an event (already deleted or missing counts as done)
+     */
+    async function deleteEvent(calendarId, eventId) {
+        try {
+            await withAuth(() => gapi.client.calendar.events.delete({ calendarId, eventId }));
+        } catch (err) {
+            if (err.status !== 404 && err.status !== 410) throw err;
+        }
+    }
+
+    /**
+     * Whether an event may be changed from the grid: the calendar must be writable
+     * and the event ours (invitations from others only change our copy, and Google
+     * rejects moving them)
+     */
+    function isEventEditable(event, calendar) {
+        if (calendar.accessRole !== 'owner' && calendar.accessRole !== 'writer') return false;
+        if (event.locked) return false;
+        const organizer = event.organizer;
+        return !organizer || !!organizer.self || organizer.email === calendar.id || !!event.guestsCanModify;
+    }
+
+    /**
+     * RFC 3339 time of a grid time (HH:MM in the home time zone, 24:00 = midnight after the date)
+     */
+    function toDateTime(date, time, nextDay = false) {
+        return TimeZone.toInstant(nextDay ? addDays(date, 1) : date, time).toISOString();
+    }
+
+    /**
+     * Rename or move an event shown in the grid (events.patch - other fields stay as they are)
+     * @param {Object} block - Editable calendar block (calendarId, calendarEventId, timeZone)
+     * @param {Object} changes - { title } and/or { date, startTime, endTime }
+     * @returns {Object} The updated event
+     */
+    async function updateEvent(block, { title, date, startTime, endTime }) {
+        const resource = {};
+        if (title !== undefined) resource.summary = title;
+        if (startTime && endTime) {
+            // The event keeps its own zone (recurrences and other attendees go by it)
+            const timeZone = block.timeZone || TimeZone.homeZone();
+            resource.start = { dateTime: toDateTime(date, startTime), timeZone };
+            // An end at or before the start is on the next day
+            resource.end = { dateTime: toDateTime(date, endTime, endTime <= startTime), timeZone };
+        }
+
+        const response = await withAuth(() => gapi.client.calendar.events.patch({
+            calendarId: block.calendarId,
+            eventId: block.calendarEventId,
+            resource
+        }));
+        await cacheEvent(block.calendarId, response.result);
+        return response.result;
+    }
+
+    /**
+     * Convert an event to a block (timed) or an all-day entry. A timed event that
+     * spans several days becomes one block per day, cut at midnight - this is the
+     * block for `date`.
+     * @param {Object} event - Google Calendar event
+     * @param {Object} calendar - calendarList item it belongs to
+     * @param {Object} pref - Display settings of the calendar (see getCalendarPrefs)
+     * @param {string} date - Day shown (YYYY-MM-DD)
+     */
+    function toBlock(event, calendar, pref, date) {
+        if (event.start.date) {
+            return {
+                id: `gcal_allday_${event.id}`,
+                title: event.summary || 'Bez názvu',
+                isAllDay: true,
+                fromCalendar: true,
+                calendarId: calendar.id,
+                backgroundColor: pref.color || null,
+                calendarName: calendar.summary
+            };
+        }
+
+        const start = new Date(event.start.dateTime);
+        const end = new Date(event.end.dateTime);
+        const continuesBefore = start < new Date(toDateTime(date, '00:00'));
+        const continuesAfter = end > new Date(toDateTime(date, '24:00'));
+        const endsAtMidnight = !continuesAfter && formatEventTime(end) === '00:00' && end > start;
+
+        return {
+            id: `gcal_${event.id}`,
+            title: event.summary || 'Bez názvu',
+            startTime: continuesBefore ? '00:00' : formatEventTime(start),
+            endTime: continuesAfter || endsAtMidnight ? '24:00' : formatEventTime(end),
+            continuesBefore, // Started on an earlier day
+            continuesAfter, // Goes on into the next day
+            category: pref.category || 'calendar',
+            fromCalendar: true,
+            calendarEventId: event.id,
+            calendarId: calendar.id,
+            // Can be moved, resized and renamed (see updateEvent) - unless only a day's part of it is shown
+            editable: isEventEditable(event, calendar) && !continuesBefore && !continuesAfter,
+            timeZone: event.start.timeZone || calendar.timeZone || null,
+            backgroundColor: pref.color || null, // null = automatic (see TimeBlocks)
+            description: event.description || '',
+            location: event.location || '',
+            calendarName: calendar.summary
+        };
+    }
+
+    /**
+     * Get events for a specific date. Signed out, offline or when Google fails,
+     * the events come from the last cached copy, marked stale (and read-only).
+     * @param {string} date - Date in YYYY-MM-DD format
+     * @returns {Array} Timed event blocks, with the all-day ones in .allDayEvents
+     *   and .stale set if Google couldn't confirm them (refresh when back online)
+     */
+    async function getEventsForDate(date) {
+        let stale = !isSignedIn;
+        try {
+            // 1. Get the calendars the user chose to show (see the calendar settings)
+            const prefs = await getCalendarPrefs();
+            const calendars = (await getCalendars())
+                .filter(cal => isCalendarVisible(prefs, cal.id));
+
+            // 2. Get events for each calendar in parallel (cached, see getCalendarEvents)
+            const blockPromises = calendars.map(async (calendar) => {
                 try {
-                    const response = await gapi.client.calendar.events.list({
-                        calendarId: calendar.id,
-                        timeMin: timeMin,
-                        timeMax: timeMax,
-                        singleEvents: true,
-                        orderBy: 'startTime',
-                    });
-
-                    if (!response.result.items) return [];
-
-                    return response.result.items.map(event => ({
-                        ...event,
-                        calendarId: calendar.id,
-                        calendarSummary: calendar.summary,
-                        backgroundColor: calendar.backgroundColor
-                    }));
+                    const result = await getCalendarEvents(calendar, date);
+                    if (result.stale) stale = true;
+                    return result.events
+                        .filter(event => overlapsDates(event, date))
+                        .filter(event => !getPublishedBlockId(event)) // Our own timeboxes (see publish.js)
+                        .filter(event => event.start.dateTime || event.start.date)
+                        .map(event => {
+                            const block = toBlock(event, calendar, prefs[calendar.id] || {}, date);
+                            // Changes can't reach Google now - don't offer them
+                            return result.stale ? { ...block, stale: true, editable: false } : block;
+                        });
                 } catch (e) {
                     console.warn(`Could not fetch events for calendar ${calendar.summary}:`, e);
+                    stale = true;
                     return [];
                 }
             });
 
-            const results = await Promise.all(eventPromises);
-            const allEvents = results.flat();
-
-            // 3. Convert to our block format
-            // 3. Convert to our block format
-            const timedEvents = allEvents
-                .filter(event => event.start && event.start.dateTime)
-                .map(event => ({
-                    id: `gcal_${event.id}`,
-                    title: event.summary || 'Bez názvu',
-                    startTime: formatEventTime(event.start.dateTime),
-                    endTime: formatEventTime(event.end.dateTime),
-                    category: 'calendar',
-                    fromCalendar: true,
-                    calendarEventId: event.id,
-                    description: event.description || '',
-                    location: event.location || '',
-                    calendarName: event.calendarSummary
-                }));
-
-            // All-day events (have start.date instead of start.dateTime)
-            const allDayEvents = allEvents
-                .filter(event => event.start && event.start.date && !event.start.dateTime)
-                .map(event => ({
-                    id: `gcal_allday_${event.id}`,
-                    title: event.summary || 'Bez názvu',
-                    isAllDay: true,
-                    fromCalendar: true,
-                    calendarName: event.calendarSummary
-                }));
+            const blocks = (await Promise.all(blockPromises)).flat();
+            const timedEvents = blocks.filter(block => !block.isAllDay);
 
             // Attach allDay events as a property on the array for backward compat
-            timedEvents.allDayEvents = allDayEvents;
+            timedEvents.allDayEvents = blocks.filter(block => block.isAllDay);
+            timedEvents.stale = stale;
             return timedEvents;
 
         } catch (error) {
             console.error('Error fetching calendar events:', error);
-
-            // Token might be expired, try to refresh
-            if (error.status === 401) {
-                isSignedIn = false;
-                if (onSignInChange) onSignInChange(false);
-            }
-
-            return [];
+            // An expired token already moved to the reconnect state (see withAuth)
+            const none = [];
+            none.stale = true;
+            return none;
         }
     }
 
     /**
-     * Format event time to HH:MM
+     * Format event time to HH:MM in the home time zone
+     * @param {Date|string} dateTime
      */
-    function formatEventTime(dateTimeString) {
-        const date = new Date(dateTimeString);
-        const hours = String(date.getHours()).padStart(2, '0');
-        const minutes = String(date.getMinutes()).padStart(2, '0');
-        return `${hours}:${minutes}`;
+    function formatEventTime(dateTime) {
+        return TimeZone.toZoned(new Date(dateTime)).time;
     }
 
     /**
@@ -401,6 +1038,13 @@ const Calendar = (function () {
         return isSignedIn;
     }
 
+    /**
+     * Get the auth state (see AUTH_STATE)
+     */
+    function getAuthState() {
+        return authState;
+    }
+
     /**
      * Get user info
      */
@@ -408,9 +1052,9 @@ const Calendar = (function () {
         if (!isSignedIn) return null;
 
         try {
-            const response = await gapi.client.request({
+            const response = await withAuth(() => gapi.client.request({
                 path: 'https://www.googleapis.com/oauth2/v2/userinfo'
-            });
+            }));
             return response.result;
         } catch (error) {
             console.error('Error getting user info:', error);
@@ -424,10 +1068,26 @@ const Calendar = (function () {
         signIn,
         signOut,
         getEventsForDate,
+        listCalendars,
+        syncEvents,
+        getCalendarPrefs,
+        setCalendarPrefs,
+        isCalendarVisible,
+        ensureAppCalendarScope,
+        findOrCreateCalendar,
+        putEvent,
+        deleteEvent,
+        updateEvent,
         getSignedInStatus,
+        getAuthState,
         getUserInfo,
         saveData,
-        loadData
+        loadData,
+        deleteDataFile,
+        uploadFile,
+        downloadFile,
+        getDataFileMeta,
+        AUTH_STATE
     };
 
     return window.Calendar;
@@ -0,0 +1,103 @@
+/**
+ * clock.js - Hybrid logical clock for per-field sync timestamps
+ *
+ * A timestamp is "<ms>:<counter>:<node>" with fixed-width numbers, so plain
+ * string comparison orders them. The counter breaks ties within a millisecond
+ * and keeps clocks moving forward when a device's wall clock lags behind.
+ */
+
+const Clock = (function () {
+    const NODE_KEY = 'hlc_node';
+    const LAST_KEY = 'hlc_last';
+
+    // Device-local, never synced (settings in IndexedDB are synced)
+    let node = localStorage.getItem(NODE_KEY);
+    if (!node) {
+        node = Math.random().toString(36).substr(2, 8);
+        localStorage.setItem(NODE_KEY, node);
+    }
+
+    let last = parse(localStorage.getItem(LAST_KEY)) || { ms: 0, counter: 0 };
+
+    /**
+     * Parse a timestamp string into its parts
+     */
+    function parse(timestamp) {
+        if (!timestamp || typeof timestamp !== 'string') return null;
+        const [ms, counter, nodeId] = timestamp.split(':');
+        return { ms: parseInt(ms, 10) || 0, counter: parseInt(counter, 10) || 0, node: nodeId || '' };
+    }
+
+    /**
+     * Format parts into a comparable timestamp string
+     */
+    function format(ms, counter, nodeId) {
+        return `${String(ms).padStart(15, '0')}:${String(counter).padStart(5, '0')}:${nodeId}`;
+    }
+
+    function persist() {
+        localStorage.setItem(LAST_KEY, format(last.ms, last.counter, node));
+    }
+
+    /**
+     * Generate a new timestamp for a local change
+     */
+    function now() {
+        const wall = Date.now();
+        if (wall > last.ms) {
+            last = { ms: wall, counter: 0 };
+        } else {
+            last = { ms: last.ms, counter: last.counter + 1 };
+        }
+        persist();
+        return format(last.ms, last.counter, node);
+    }
+
+    /**
+     * Move the clock past a timestamp seen from another device,
+     * so later local changes always sort after it
+     */
+    function observe(timestamp) {
+        const remote = parse(timestamp);
+        if (!remote) return;
+        if (remote.ms > last.ms || (remote.ms === last.ms && remote.counter > last.counter)) {
+            last = { ms: remote.ms, counter: remote.counter };
+            persist();
+        }
+    }
+
+    /**
+     * Timestamp for a plain wall-clock time (used for records written before field clocks)
+     * @param {number} ms - Milliseconds since epoch
+     */
+    function fromTime(ms) {
+        return format(ms || 0, 0, '');
+    }
+
+    /**
+     * Wall-clock milliseconds of a timestamp
+     */
+    function toTime(timestamp) {
+        const parts = parse(timestamp);
+        return parts ? parts.ms : 0;
+    }
+
+    /**
+     * Compare two timestamps (-1, 0, 1); missing sorts first
+     */
+    function compare(a, b) {
+        if (a === b) return 0;
+        if (!a) return -1;
+        if (!b) return 1;
+        return a < b ? -1 : 1;
+    }
+
+    // Public API
+    return {
+        now,
+        observe,
+        fromTime,
+        toTime,
+        compare
+    };
+})();
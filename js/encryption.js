@@ -0,0 +1,270 @@
+/**
+ * encryption.js - Optional passphrase encryption of the Drive backup
+ *
+ * The backup is sealed with AES-GCM under a key derived from the passphrase
+ * with PBKDF2. The passphrase itself is never stored; the derived key is kept
+ * in local (never synced) settings as a non-extractable CryptoKey, together
+ * with the salt it was derived with. A new salt is generated on every
+ * passphrase change, so other devices notice a rotation by the salt.
+ *
+ * After a passphrase change (or turning encryption off) the remote files are
+ * still sealed with the old key until the next push replaces them, so the old
+ * key is kept for reading until then (see forgetPreviousKeys).
+ *
+ * Errors carry a code:
+ * - PASSPHRASE_REQUIRED: the file is encrypted and this device has no (current) key
+ * - WRONG_PASSPHRASE: the passphrase or key doesn't decrypt the file
+ */
+
+const Encryption = (function () {
+    const FORMAT = 'timeboxing-aes-gcm';
+    const KEY_SETTING = 'encryptionKey'; // Local only, see Storage LOCAL_SETTINGS
+    const PREVIOUS_KEYS_SETTING = 'encryptionPreviousKeys'; // Local only - for reading, until the next push
+    const PBKDF2_ITERATIONS = 310000;
+    const SALT_BYTES = 16;
+    const IV_BYTES = 12;
+
+    let keyInfo; // { key, salt, iterations } | null, undefined until read
+    let previousKeys; // [{ key, salt, iterations }], undefined until read
+
+    function encryptionError(code, message, envelope) {
+        const err = new Error(message);
+        err.code = code;
+        err.envelope = envelope;
+        return err;
+    }
+
+    function toBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    function fromBase64(text) {
+        return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+    }
+
+    /**
+     * Derive the AES key from a passphrase
+     */
+    async function deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: fromBase64(salt), iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    async function getKeyInfo() {
+        if (keyInfo === undefined) {
+            keyInfo = await Storage.getSetting(KEY_SETTING, null);
+        }
+        return keyInfo;
+    }
+
+    async function storeKeyInfo(info) {
+        keyInfo = info;
+        await Storage.setSetting(KEY_SETTING, info);
+    }
+
+    async function getPreviousKeys() {
+        if (previousKeys === undefined) {
+            previousKeys = await Storage.getSetting(PREVIOUS_KEYS_SETTING, []);
+        }
+        return previousKeys;
+    }
+
+    async function storePreviousKeys(keys) {
+        previousKeys = keys;
+        await Storage.setSetting(PREVIOUS_KEYS_SETTING, keys);
+    }
+
+    /**
+     * Keep the current key for reading the remote files it sealed
+     */
+    async function retireCurrentKey() {
+        const info = await getKeyInfo();
+        if (!info) return;
+        const previous = (await getPreviousKeys()).filter(p => p.salt !== info.salt);
+        await storePreviousKeys([...previous, info]);
+    }
+
+    /**
+     * Drop the keys of earlier passphrases. Call after a push succeeded: the remote
+     * is then sealed with the current key (or plain) throughout.
+     */
+    async function forgetPreviousKeys() {
+        if ((await getPreviousKeys()).length === 0) return;
+        await storePreviousKeys([]);
+    }
+
+    /**
+     * Check if data loaded from Drive is an encrypted envelope
+     */
+    function isEnvelope(data) {
+        return !!data && data.format === FORMAT && typeof data.ciphertext === 'string';
+    }
+
+    /**
+     * Whether uploads from this device are encrypted
+     */
+    async function isEnabled() {
+        return !!(await getKeyInfo());
+    }
+
+    /**
+     * Identifies the current key (its salt), or null when encryption is off.
+     * Changes whenever the passphrase does.
+     */
+    async function getKeyId() {
+        const info = await getKeyInfo();
+        return info ? info.salt : null;
+    }
+
+    /**
+     * Encrypt raw bytes into an envelope
+     * @param {Uint8Array} bytes
+     * @param {string} content - What the bytes are ('json' or 'gzip')
+     */
+    async function encrypt(bytes, content, info) {
+        const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, info.key, bytes);
+
+        return {
+            format: FORMAT,
+            version: 1,
+            content,
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', salt: info.salt, iterations: info.iterations },
+            iv: toBase64(iv),
+            ciphertext: toBase64(ciphertext)
+        };
+    }
+
+    /**
+     * Decrypt an envelope with a given key
+     * @returns {Uint8Array}
+     */
+    async function decrypt(envelope, key) {
+        try {
+            const plaintext = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: fromBase64(envelope.iv) },
+                key,
+                fromBase64(envelope.ciphertext)
+            );
+            return new Uint8Array(plaintext);
+        } catch (e) {
+            // AES-GCM authenticates the data - any failure means the key is wrong (or the file is damaged)
+            throw encryptionError('WRONG_PASSPHRASE', 'Nesprávné heslo k zašifrované záloze', envelope);
+        }
+    }
+
+    /**
+     * Get the key that opens an envelope
+     */
+    async function getKeyFor(envelope) {
+        const info = await getKeyInfo();
+        if (info && info.salt === envelope.kdf.salt) return info.key;
+
+        // Sealed before this device changed the passphrase, and not pushed over yet
+        const previous = (await getPreviousKeys()).find(p => p.salt === envelope.kdf.salt);
+        if (previous) return previous.key;
+
+        // Never unlocked here, or the passphrase was changed on another device
+        throw encryptionError('PASSPHRASE_REQUIRED', 'Záloha na Disku je zašifrovaná - zadejte heslo', envelope);
+    }
+
+    /**
+     * Encrypt a backup for upload (returned unchanged when encryption is off)
+     * @param {Object} data - Result of Storage.exportBackup()
+     */
+    async function seal(data) {
+        const info = await getKeyInfo();
+        if (!info) return data;
+        return encrypt(new TextEncoder().encode(JSON.stringify(data)), 'json', info);
+    }
+
+    /**
+     * Decrypt a backup loaded from Drive
+     * @param {Object} envelope - Encrypted envelope (see seal)
+     */
+    async function open(envelope) {
+        const bytes = await decrypt(envelope, await getKeyFor(envelope));
+        return JSON.parse(new TextDecoder().decode(bytes));
+    }
+
+    /**
+     * Encrypt already encoded bytes (returns null when encryption is off)
+     * @param {Uint8Array} bytes
+     * @param {string} content - Encoding of the bytes, restored by openBytes
+     */
+    async function sealBytes(bytes, content) {
+        const info = await getKeyInfo();
+        return info ? encrypt(bytes, content, info) : null;
+    }
+
+    /**
+     * Decrypt an envelope made by sealBytes
+     * @returns {Uint8Array}
+     */
+    async function openBytes(envelope) {
+        return decrypt(envelope, await getKeyFor(envelope));
+    }
+
+    /**
+     * Remember the passphrase of an existing encrypted file (after checking it opens it)
+     * @param {string} passphrase
+     * @param {Object} envelope - The envelope that failed to open (error.envelope)
+     */
+    async function unlock(passphrase, envelope) {
+        const { salt, iterations } = envelope.kdf;
+        const key = await deriveKey(passphrase, salt, iterations);
+        await decrypt(envelope, key); // Throws WRONG_PASSPHRASE
+        await storeKeyInfo({ key, salt, iterations });
+        await storePreviousKeys((await getPreviousKeys()).filter(p => p.salt !== salt));
+    }
+
+    /**
+     * Turn encryption on, or change the passphrase.
+     * The caller must push afterwards so Drive holds a copy under the new key
+     * (until then the old key still reads the remote files).
+     * @param {string} passphrase
+     */
+    async function setPassphrase(passphrase) {
+        if (!passphrase) throw new Error('Heslo nesmí být prázdné');
+        const salt = toBase64(crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+        const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+        await retireCurrentKey();
+        await storeKeyInfo({ key, salt, iterations: PBKDF2_ITERATIONS });
+    }
+
+    /**
+     * Turn encryption off - the next push uploads plain JSON
+     */
+    async function disable() {
+        await retireCurrentKey();
+        await storeKeyInfo(null);
+    }
+
+    // Public API
+    return {
+        isEnvelope,
+        isEnabled,
+        getKeyId,
+        seal,
+        open,
+        sealBytes,
+        openBytes,
+        unlock,
+        setPassphrase,
+        disable,
+        forgetPreviousKeys
+    };
+})();
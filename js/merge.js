@@ -0,0 +1,280 @@
+/**
+ * merge.js - Merge rules shared by local import and Drive sync
+ */
+
+const Merge = (function () {
+    // Tombstones older than this are forgotten. A device that stays offline
+    // longer than this may bring a deleted block back.
+    const TOMBSTONE_RETENTION_DAYS = 30;
+
+    // Block fields whose changes are tracked with clocks in block.fieldClocks
+    const TRACKED_FIELDS = ['date', 'title', 'startTime', 'endTime', 'category', 'notes', 'customColor'];
+
+    // Fields that only make sense together share one clock, kept under the group name:
+    // a move on one device and a resize on another must not combine into a range neither made
+    const FIELD_GROUPS = { time: ['date', 'startTime', 'endTime'] };
+
+    // What the merge decides one by one: the groups and the remaining tracked fields
+    const MERGE_UNITS = ['time', 'title', 'category', 'notes', 'customColor'];
+
+    /**
+     * Get a record's updatedAt as milliseconds (0 if missing)
+     */
+    function getTime(record) {
+        return record && record.updatedAt ? new Date(record.updatedAt).getTime() : 0;
+    }
+
+    /**
+     * Check if a tombstone is past the retention window
+     * @param {Object} tombstone - { id, updatedAt }
+     * @param {number} now - Current time in ms
+     */
+    function isExpired(tombstone, now = Date.now()) {
+        return now - getTime(tombstone) > TOMBSTONE_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    }
+
+    /**
+     * Pick the newer of two versions of the same record
+     * @param {Object} local - Local version (may be undefined)
+     * @param {Object} remote - Remote version (may be undefined)
+     * @param {string} preferOnTie - 'local' or 'remote'
+     */
+    function pickNewer(local, remote, preferOnTie = 'local') {
+        if (!local) return remote;
+        if (!remote) return local;
+
+        const localTime = getTime(local);
+        const remoteTime = getTime(remote);
+        if (localTime === remoteTime) return preferOnTie === 'local' ? local : remote;
+        return localTime > remoteTime ? local : remote;
+    }
+
+    /**
+     * Fields of a merge unit (a group name or a single field)
+     */
+    function fieldsOf(unit) {
+        return FIELD_GROUPS[unit] || [unit];
+    }
+
+    /**
+     * Clock of a group, from its members' own clocks on records written before it had one
+     * @returns {string|null}
+     */
+    function getMemberClock(block, unit) {
+        const clocks = fieldsOf(unit)
+            .map(field => block.fieldClocks && block.fieldClocks[field])
+            .filter(Boolean)
+            .sort(Clock.compare);
+        return clocks.length > 0 ? clocks[clocks.length - 1] : null;
+    }
+
+    /**
+     * Get the clock of a merge unit (falls back to the block's updatedAt for old records)
+     */
+    function getFieldClock(block, unit) {
+        return (block.fieldClocks && block.fieldClocks[unit]) ||
+            (FIELD_GROUPS[unit] && getMemberClock(block, unit)) ||
+            Clock.fromTime(getTime(block));
+    }
+
+    /**
+     * Stamp the fields that changed since the stored version with a fresh clock
+     * @param {Object} block - Block about to be saved (modified in place)
+     * @param {Object} previous - Currently stored version (undefined for new blocks)
+     * @returns {boolean} Whether any tracked field changed
+     */
+    function stampBlock(block, previous) {
+        const clocks = { ...(previous && previous.fieldClocks), ...block.fieldClocks };
+        let changed = false;
+
+        MERGE_UNITS.forEach(unit => {
+            const isNew = !previous || fieldsOf(unit).some(field => previous[field] !== block[field]);
+            if (isNew) {
+                clocks[unit] = Clock.now();
+                changed = true;
+            } else if (!clocks[unit]) {
+                clocks[unit] = (FIELD_GROUPS[unit] && getMemberClock({ fieldClocks: clocks }, unit)) || Clock.now();
+            }
+            if (FIELD_GROUPS[unit]) {
+                fieldsOf(unit).forEach(field => delete clocks[field]); // Superseded by the group clock
+            }
+        });
+
+        block.fieldClocks = clocks;
+        if (changed) {
+            const stamped = new Date().toISOString();
+            if (!block.updatedAt || block.updatedAt < stamped) block.updatedAt = stamped;
+        }
+        return changed;
+    }
+
+    /**
+     * Merge two versions of the same block field by field.
+     * Each tracked field (or group, see FIELD_GROUPS) takes the value with the newer
+     * clock, so a notes edit on one device and a move on another both survive.
+     * Untracked fields come from the version with the newer updatedAt.
+     */
+    function mergeBlock(local, remote, preferOnTie = 'local') {
+        if (!local) return remote;
+        if (!remote) return local;
+
+        const base = pickNewer(local, remote, preferOnTie);
+        const other = base === local ? remote : local;
+        const merged = { ...base, fieldClocks: {} };
+
+        MERGE_UNITS.forEach(unit => {
+            const baseClock = getFieldClock(base, unit);
+            const otherClock = getFieldClock(other, unit);
+            if (Clock.compare(otherClock, baseClock) > 0) {
+                fieldsOf(unit).forEach(field => {
+                    merged[field] = other[field];
+                });
+                merged.fieldClocks[unit] = otherClock;
+            } else {
+                merged.fieldClocks[unit] = baseClock;
+            }
+        });
+
+        merged.updatedAt = new Date(Math.max(getTime(local), getTime(remote))).toISOString();
+        return merged;
+    }
+
+    /**
+     * Find fields that both sides changed to different values since the last sync.
+     * The merge still picks a winner (newer clock); these are offered for review.
+     * @param {string} since - Clock of the last successful sync (null = never synced)
+     * @returns {Array} Conflicting field or group names (see fieldsOf)
+     */
+    function findConflictingFields(local, remote, since) {
+        if (!local || !remote || !since) return [];
+
+        return MERGE_UNITS.filter(unit => {
+            if (fieldsOf(unit).every(field => (local[field] || '') === (remote[field] || ''))) return false;
+            return Clock.compare(getFieldClock(local, unit), since) > 0 &&
+                Clock.compare(getFieldClock(remote, unit), since) > 0;
+        });
+    }
+
+    /**
+     * Merge two sets of blocks and tombstones.
+     * A tombstone wins over a block unless the block was edited after the delete.
+     * @param {Object} options
+     * @param {string} options.since - Clock of the last sync, enables conflict detection
+     * @returns {Object} { blocks, tombstones, conflicts }
+     */
+    function mergeBlocks(localBlocks = [], remoteBlocks = [], localTombstones = [], remoteTombstones = [], preferOnTie = 'local', options = {}) {
+        const now = Date.now();
+
+        // 1. Newest tombstone per ID, dropping expired ones
+        const tombstoneMap = new Map();
+        [...localTombstones, ...remoteTombstones].forEach(t => {
+            if (isExpired(t, now)) return;
+            tombstoneMap.set(t.id, pickNewer(tombstoneMap.get(t.id), t));
+        });
+
+        // 2. Field-level merge per ID
+        const blockMap = new Map();
+        remoteBlocks.forEach(b => {
+            blockMap.set(b.id, b);
+            // Keep local clocks ahead of anything seen from other devices
+            if (b.fieldClocks) Object.values(b.fieldClocks).forEach(Clock.observe);
+        });
+        const conflicts = [];
+        localBlocks.forEach(localBlock => {
+            const remoteBlock = blockMap.get(localBlock.id);
+            const fields = findConflictingFields(localBlock, remoteBlock, options.since);
+            if (fields.length > 0) {
+                conflicts.push({ id: localBlock.id, fields, local: localBlock, remote: remoteBlock, detectedAt: new Date().toISOString() });
+            }
+            blockMap.set(localBlock.id, mergeBlock(localBlock, remoteBlock, preferOnTie));
+        });
+
+        // 3. Apply tombstones - deletes win ties, since a delete is always a later action
+        tombstoneMap.forEach((tombstone, id) => {
+            const block = blockMap.get(id);
+            if (!block) return;
+            if (getTime(tombstone) >= getTime(block)) {
+                blockMap.delete(id);
+            } else {
+                // Edited after the delete on another device - the edit wins
+                tombstoneMap.delete(id);
+            }
+        });
+
+        return {
+            blocks: Array.from(blockMap.values()),
+            tombstones: Array.from(tombstoneMap.values()),
+            // Deleted blocks have nothing left to review
+            conflicts: conflicts.filter(c => blockMap.has(c.id))
+        };
+    }
+
+    /**
+     * Merge two settings lists ({ key, value, updatedAt } records) - newer record per key wins
+     * @param {string} preferOnTie - Which side wins when both have the key and neither is newer
+     *   (records saved before settings had timestamps)
+     */
+    function mergeSettings(localSettings = [], remoteSettings = [], preferOnTie = 'local') {
+        const settingMap = new Map();
+        remoteSettings.forEach(s => settingMap.set(s.key, s));
+        localSettings.forEach(s => settingMap.set(s.key, pickNewer(s, settingMap.get(s.key), preferOnTie)));
+        return Array.from(settingMap.values());
+    }
+
+    /**
+     * Merge hidden-routine records ({ id, hidden, updatedAt }) - newer record per ID wins,
+     * so a later restore un-hides a routine on every device
+     */
+    function mergeHiddenRoutines(localRecords = [], remoteRecords = [], preferOnTie = 'local') {
+        const recordMap = new Map();
+        remoteRecords.forEach(r => recordMap.set(r.id, r));
+        localRecords.forEach(r => recordMap.set(r.id, pickNewer(r, recordMap.get(r.id), preferOnTie)));
+        return Array.from(recordMap.values());
+    }
+
+    /**
+     * Merge a full local backup with a remote one
+     * @param {Object} local - Result of Storage.exportBackup()
+     * @param {Object} remote - Backup loaded from Drive (may be null)
+     * @param {Object} options - See mergeBlocks
+     * @returns {Object} Merged backup in exportBackup format, plus a conflicts list
+     */
+    function mergeBackups(local, remote, options = {}) {
+        if (!remote) {
+            return { ...local, conflicts: [], timestamp: Date.now() };
+        }
+
+        const { blocks, tombstones, conflicts } = mergeBlocks(
+            local.blocks, remote.blocks,
+            local.tombstones, remote.tombstones,
+            'local', options
+        );
+
+        return {
+            blocks,
+            tombstones,
+            conflicts,
+            settings: mergeSettings(local.settings, remote.settings),
+            hiddenRoutines: mergeHiddenRoutines(local.hiddenRoutines, remote.hiddenRoutines),
+            schemaVersion: local.schemaVersion,
+            timestamp: Date.now()
+        };
+    }
+
+    // Public API
+    return {
+        getTime,
+        isExpired,
+        pickNewer,
+        stampBlock,
+        mergeBlock,
+        findConflictingFields,
+        mergeBlocks,
+        mergeSettings,
+        mergeHiddenRoutines,
+        mergeBackups,
+        fieldsOf,
+        TRACKED_FIELDS,
+        TOMBSTONE_RETENTION_DAYS
+    };
+})();
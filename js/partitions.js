@@ -0,0 +1,227 @@
+/**
+ * partitions.js - Month-partitioned, compressed remote storage
+ *
+ * The main data file holds a small manifest: synced settings, tombstones and,
+ * for every month, the file with that month's blocks and hidden routines plus
+ * a hash of its content. A sync only downloads months whose hash changed since
+ * the last sync and only uploads months whose content changed.
+ *
+ * Month files are gzipped (and encrypted when a passphrase is set) and never
+ * updated in place: a changed month is written as a new file, and the old one
+ * is deleted after the manifest stops pointing at it. A reader therefore never
+ * sees a month file that doesn't match the manifest it read.
+ */
+
+const Partitions = (function () {
+    const MANIFEST_FORMAT = 'timeboxing-manifest';
+    const UNDATED = 'undated'; // Partition for records without a date
+
+    /**
+     * Check if data loaded from the main file is a manifest (vs a legacy full backup)
+     */
+    function isManifest(data) {
+        return !!data && data.format === MANIFEST_FORMAT;
+    }
+
+    /**
+     * Partition key of a date: its month (YYYY-MM)
+     */
+    function partitionKey(date) {
+        return /^\d{4}-\d{2}/.test(date || '') ? date.slice(0, 7) : UNDATED;
+    }
+
+    /**
+     * Split a backup's dated records into month partitions, sorted for stable hashes
+     * @returns {Map} key -> { blocks, hiddenRoutines }
+     */
+    function split(backup) {
+        const partitions = new Map();
+        const get = key => {
+            if (!partitions.has(key)) partitions.set(key, { blocks: [], hiddenRoutines: [] });
+            return partitions.get(key);
+        };
+
+        (backup.blocks || []).forEach(block => get(partitionKey(block.date)).blocks.push(block));
+        (backup.hiddenRoutines || []).forEach(record => get(partitionKey(record.date)).hiddenRoutines.push(record));
+
+        const byId = (a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+        partitions.forEach(partition => {
+            partition.blocks.sort(byId);
+            partition.hiddenRoutines.sort(byId);
+        });
+        return partitions;
+    }
+
+    /**
+     * Content hash of a partition. Includes the encryption key ID, so changing
+     * the passphrase rewrites every month under the new key.
+     */
+    async function hashPartition(partition, keyId) {
+        const text = (keyId || '') + JSON.stringify(partition);
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Gzip a string (null if the browser has no CompressionStream)
+     * @returns {Uint8Array|null}
+     */
+    async function gzip(text) {
+        if (typeof CompressionStream === 'undefined') return null;
+        const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    async function gunzip(bytes) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+        return new Response(stream).text();
+    }
+
+    function isGzip(bytes) {
+        return bytes.length > 1 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+    }
+
+    /**
+     * Encode a partition for upload: gzip, then encrypt if a passphrase is set
+     * @returns {Object} { body, contentType, extension }
+     */
+    async function encodePartition(partition) {
+        const json = JSON.stringify(partition);
+        const compressed = await gzip(json);
+        const encoding = compressed ? 'gzip' : 'json';
+        const bytes = compressed || new TextEncoder().encode(json);
+
+        const envelope = await Encryption.sealBytes(bytes, encoding);
+        if (envelope) {
+            return { body: JSON.stringify(envelope), contentType: 'application/json', extension: 'enc' };
+        }
+        return compressed
+            ? { body: bytes, contentType: 'application/gzip', extension: 'json.gz' }
+            : { body: bytes, contentType: 'application/json', extension: 'json' };
+    }
+
+    /**
+     * Decode a downloaded partition file (any combination of gzip and encryption)
+     */
+    async function decodePartition(buffer) {
+        let bytes = new Uint8Array(buffer);
+        let encoding = isGzip(bytes) ? 'gzip' : 'json';
+
+        if (encoding === 'json') {
+            const data = JSON.parse(new TextDecoder().decode(bytes));
+            if (!Encryption.isEnvelope(data)) return data;
+            bytes = await Encryption.openBytes(data); // Throws PASSPHRASE_REQUIRED / WRONG_PASSPHRASE
+            encoding = data.content;
+        }
+
+        return JSON.parse(encoding === 'gzip' ? await gunzip(bytes) : new TextDecoder().decode(bytes));
+    }
+
+    /**
+     * Turn a manifest back into backup data, downloading the months that changed.
+     * Months whose hash matches `known` are skipped: local data already holds them.
+     * @param {Object} manifest - Loaded main file
+     * @param {Object} files - { download(fileId) } of the backend
+     * @param {Object} known - manifest.partitions of the last sync ({} to load everything)
+     * @returns {Object} Backup in exportBackup format (blocks of skipped months omitted)
+     */
+    async function expand(manifest, files, known = {}) {
+        const backup = {
+            blocks: [],
+            hiddenRoutines: [],
+            settings: manifest.settings || [],
+            tombstones: manifest.tombstones || [],
+            schemaVersion: manifest.schemaVersion,
+            timestamp: manifest.timestamp
+        };
+
+        const entries = Object.entries(manifest.partitions || {});
+        const changed = entries.filter(([key, entry]) => !known[key] || known[key].hash !== entry.hash);
+        for (const [, entry] of changed) {
+            const partition = await decodePartition(await files.download(entry.fileId));
+            backup.blocks.push(...(partition.blocks || []));
+            backup.hiddenRoutines.push(...(partition.hiddenRoutines || []));
+        }
+
+        console.log(`Partitions: downloaded ${changed.length} of ${entries.length} month(s)`);
+        return backup;
+    }
+
+    /**
+     * Upload the months that differ from `base` and build the manifest that replaces it.
+     * The caller saves the manifest, then deletes `obsolete` (or `created` if saving fails).
+     * @param {Object} backup - Full data in exportBackup format
+     * @param {Object} files - { upload(name, body, contentType), remove(fileId) } of the backend
+     * @param {Object} base - manifest.partitions of the file being replaced ({} if none)
+     * @returns {Object} { manifest, created, obsolete } - created/obsolete are file IDs
+     */
+    async function write(backup, files, base = {}) {
+        const keyId = await Encryption.getKeyId();
+        const partitions = {};
+        const created = [];
+
+        try {
+            for (const [key, partition] of split(backup)) {
+                const hash = await hashPartition(partition, keyId);
+                if (base[key] && base[key].hash === hash) {
+                    partitions[key] = base[key]; // Unchanged - keep the existing file
+                    continue;
+                }
+
+                const { body, contentType, extension } = await encodePartition(partition);
+                const file = await files.upload(`timeboxing-${key}.${extension}`, body, contentType);
+                created.push(file.id);
+                partitions[key] = {
+                    fileId: file.id,
+                    hash,
+                    blocks: partition.blocks.length,
+                    size: Number(file.size) || 0
+                };
+            }
+        } catch (e) {
+            // Don't leave half a write behind
+            await removeFiles(files, created);
+            throw e;
+        }
+
+        const inUse = new Set(Object.values(partitions).map(p => p.fileId));
+        const obsolete = Object.values(base).map(p => p.fileId).filter(id => !inUse.has(id));
+
+        console.log(`Partitions: uploaded ${created.length} of ${Object.keys(partitions).length} month(s)`);
+        return {
+            manifest: {
+                format: MANIFEST_FORMAT,
+                version: 1,
+                schemaVersion: backup.schemaVersion,
+                timestamp: Date.now(),
+                settings: backup.settings || [],
+                tombstones: backup.tombstones || [],
+                partitions
+            },
+            created,
+            obsolete
+        };
+    }
+
+    /**
+     * Delete files, logging (not throwing) failures - leftovers are only wasted space
+     */
+    async function removeFiles(files, fileIds) {
+        for (const fileId of fileIds) {
+            try {
+                await files.remove(fileId);
+            } catch (e) {
+                console.warn(`Partitions: could not delete ${fileId}`, e);
+            }
+        }
+    }
+
+    // Public API
+    return {
+        isManifest,
+        partitionKey,
+        expand,
+        write,
+        removeFiles
+    };
+})();
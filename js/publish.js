@@ -0,0 +1,191 @@
+/**
+ * publish.js - Publish timeboxes to a "Timeboxing" Google calendar
+ *
+ * Each published block becomes an event with an ID derived from the block ID,
+ * so publishing the same block again (from any device) updates the one event.
+ * A publish pass compares local blocks with what this device last sent and
+ * creates, updates or deletes events to match. Events carry the block ID in
+ * extendedProperties, which keeps them out of the grid (see Calendar.getEventsForDate).
+ */
+
+const Publish = (function () {
+    const SETTINGS_KEY = 'calendarPublish'; // Synced: { enabled, categories, calendarId }
+    const STATE_KEY = 'publishedBlocks'; // Local: { [blockId]: { hash, date } }
+    const CALENDAR_NAME = 'Timeboxing';
+    const PAST_DAYS = 7; // Older blocks are left as they were published
+    const PUBLISH_DELAY = 3000; // Debounce after edits
+
+    let running = null; // Promise of the pass in flight
+    let queued = null; // Promise of the pass after it
+    let publishTimeout = null;
+
+    /**
+     * Publishing settings (categories: null = all blocks)
+     */
+    async function getSettings() {
+        return Storage.getSetting(SETTINGS_KEY, { enabled: false, categories: null, calendarId: null });
+    }
+
+    /**
+     * Turn publishing on (or change the categories). Needs a click: the first
+     * time, Google asks for permission to create the calendar.
+     * @param {Array|null} categories - Categories to publish, null for all
+     */
+    async function enable(categories) {
+        if (!await Calendar.ensureAppCalendarScope()) {
+            throw new Error('Bez oprávnění ke kalendáři nelze bloky publikovat');
+        }
+
+        const settings = await getSettings();
+        const calendar = await Calendar.findOrCreateCalendar(CALENDAR_NAME);
+        if (calendar.id !== settings.calendarId) {
+            // Events in another calendar aren't ours to update any more
+            await Storage.setSetting(STATE_KEY, {});
+        }
+        await Storage.setSetting(SETTINGS_KEY, { enabled: true, categories, calendarId: calendar.id });
+        return publishNow();
+    }
+
+    /**
+     * Turn publishing off and remove the events this device published
+     */
+    async function disable() {
+        const settings = await getSettings();
+        await Storage.setSetting(SETTINGS_KEY, { ...settings, enabled: false });
+        if (!settings.calendarId) return;
+
+        const published = await Storage.getSetting(STATE_KEY, {});
+        for (const blockId of Object.keys(published)) {
+            await Calendar.deleteEvent(settings.calendarId, eventIdFor(blockId));
+            delete published[blockId];
+            await Storage.setSetting(STATE_KEY, published);
+        }
+    }
+
+    /**
+     * Event ID for a block: hex of its UTF-8 bytes (a subset of the base32hex IDs Google accepts)
+     */
+    function eventIdFor(blockId) {
+        const hex = Array.from(new TextEncoder().encode(blockId), b => b.toString(16).padStart(2, '0')).join('');
+        return `tb${hex}`;
+    }
+
+    function formatDate(date) {
+        return [date.getFullYear(), String(date.getMonth() + 1).padStart(2, '0'), String(date.getDate()).padStart(2, '0')].join('-');
+    }
+
+    function addDays(dateStr, days) {
+        const date = new Date(dateStr + 'T12:00:00');
+        date.setDate(date.getDate() + days);
+        return formatDate(date);
+    }
+
+    function isPublishable(block, settings) {
+        if (block.fromCalendar || block.isRoutine) return false;
+        if (!block.date || !block.startTime || !block.endTime) return false;
+        return !settings.categories || settings.categories.includes(block.category);
+    }
+
+    /**
+     * Build the event for a block (busy time, in the home time zone - see timezone.js)
+     */
+    function toEvent(block) {
+        const timeZone = TimeZone.homeZone();
+        // An end at or before the start (or 24:00) is on the next day
+        const endsNextDay = block.endTime <= block.startTime || block.endTime === '24:00';
+        const endTime = block.endTime === '24:00' ? '00:00' : block.endTime;
+
+        return {
+            summary: block.title || 'Timebox',
+            description: block.notes || '',
+            start: { dateTime: `${block.date}T${block.startTime}:00`, timeZone },
+            end: { dateTime: `${endsNextDay ? addDays(block.date, 1) : block.date}T${endTime}:00`, timeZone },
+            transparency: 'opaque', // Shows as busy
+            extendedProperties: { private: { timeboxingBlockId: block.id } }
+        };
+    }
+
+    /**
+     * Bring the calendar in line with local blocks
+     * @returns {Object|null} { updated, deleted }, null when publishing is off
+     */
+    async function reconcile() {
+        const settings = await getSettings();
+        if (!settings.enabled || !settings.calendarId || !Calendar.getSignedInStatus()) return null;
+
+        const from = addDays(TimeZone.today(), -PAST_DAYS);
+        const blocks = (await Storage.getBlocksByDateRange(from, '9999-12-31'))
+            .filter(block => isPublishable(block, settings));
+        const published = await Storage.getSetting(STATE_KEY, {});
+        let updated = 0;
+        let deleted = 0;
+
+        for (const block of blocks) {
+            const event = toEvent(block);
+            const hash = JSON.stringify(event);
+            if (published[block.id] && published[block.id].hash === hash) continue;
+
+            await Calendar.putEvent(settings.calendarId, eventIdFor(block.id), event);
+            published[block.id] = { hash, date: block.date };
+            await Storage.setSetting(STATE_KEY, published); // Progress survives a failure midway
+            updated++;
+        }
+
+        const wanted = new Set(blocks.map(block => block.id));
+        for (const [blockId, entry] of Object.entries(published)) {
+            if (wanted.has(blockId)) continue;
+            if (entry.date >= from) {
+                // Deleted, or no longer in a published category
+                await Calendar.deleteEvent(settings.calendarId, eventIdFor(blockId));
+                deleted++;
+            }
+            delete published[blockId];
+            await Storage.setSetting(STATE_KEY, published);
+        }
+
+        if (updated || deleted) {
+            console.log(`Publish: ${updated} event(s) updated, ${deleted} deleted`);
+        }
+        return { updated, deleted };
+    }
+
+    /**
+     * Publish now (one pass at a time; a request during a pass runs another one after it)
+     */
+    function publishNow() {
+        if (!running) {
+            running = reconcile().finally(() => {
+                running = null;
+            });
+            return running;
+        }
+
+        if (!queued) {
+            queued = running.catch(() => { }).then(() => {
+                queued = null;
+                return publishNow();
+            });
+        }
+        return queued;
+    }
+
+    /**
+     * Publish shortly after local edits (failures are logged, the next pass retries)
+     */
+    function schedule() {
+        if (publishTimeout) clearTimeout(publishTimeout);
+        publishTimeout = setTimeout(() => {
+            publishTimeout = null;
+            publishNow().catch(e => console.error('Publishing to calendar failed:', e));
+        }, PUBLISH_DELAY);
+    }
+
+    // Public API
+    return {
+        getSettings,
+        enable,
+        disable,
+        publishNow,
+        schedule
+    };
+})();
@@ -4,12 +4,141 @@
 
 const Storage = (function () {
     const DB_NAME = 'timeboxing-db';
-    const DB_VERSION = 1;
+    const DB_VERSION = 9;
     const STORE_BLOCKS = 'blocks';
     const STORE_SETTINGS = 'settings';
+    const STORE_TOMBSTONES = 'tombstones';
+    const STORE_HIDDEN_ROUTINES = 'hiddenRoutines';
+    const STORE_OUTBOX = 'outbox';
+    const STORE_SNAPSHOTS = 'snapshots';
+    const STORE_CALENDAR_CACHE = 'calendarCache';
+    const SNAPSHOT_LIMIT = 30; // Oldest snapshots are dropped beyond this
+    const LEGACY_HIDDEN_PREFIX = 'hiddenRoutines_';
+
+    // Device-specific settings: never exported, and kept when a backup is applied
+    const LOCAL_SETTINGS = [
+        'google_token',
+        'lastSyncClock',
+        'syncConflicts',
+        'lastSyncedRemoteVersion', // Remote file version this device last merged or wrote
+        'lastSyncedPartitions', // Month files of that version, see partitions.js
+        'skippedDuplicates', // Unreadable duplicate data files (ID -> version), see sync.js
+        'encryptionKey', // Derived backup key, see encryption.js
+        'encryptionPreviousKeys', // Keys of earlier passphrases until the next push, see encryption.js
+        'syncBackend', // Where this device syncs to, see backends.js
+        'syncStatus', // Last pull/push/error shown in the sync panel, see sync.js
+        'publishedBlocks', // What this device last sent to the Timeboxing calendar, see publish.js
+        'timeZoneTravel', // Travel mode (the home time zone itself is synced), see timezone.js
+        'webdavConfig' // WebDAV server and credentials, see webdav.js
+    ];
 
     let db = null;
 
+    /**
+     * Schema migrations, keyed by the version they upgrade TO.
+     * Each step may have:
+     * - upgrade(database, transaction): schema changes (stores, indexes)
+     * - migrateBlock(block): rewrite of an existing block record (null drops it)
+     * - migrateSetting(setting): rewrite of an existing setting record
+     * Record rewrites also run on imported backups written by older versions,
+     * so a step must be safe to apply to any record older than its version.
+     */
+    const MIGRATIONS = {
+        1: {
+            upgrade(database) {
+                if (!database.objectStoreNames.contains(STORE_BLOCKS)) {
+                    const blocksStore = database.createObjectStore(STORE_BLOCKS, { keyPath: 'id' });
+                    blocksStore.createIndex('date', 'date', { unique: false });
+                    blocksStore.createIndex('startTime', 'startTime', { unique: false });
+                }
+
+                if (!database.objectStoreNames.contains(STORE_SETTINGS)) {
+                    database.createObjectStore(STORE_SETTINGS, { keyPath: 'key' });
+                }
+            }
+        },
+        2: {
+            // v1 blocks carry no schema stamp - mark them so later steps know their origin
+            migrateBlock(block) {
+                return { ...block, schemaVersion: 1 };
+            }
+        },
+        3: {
+            // Deletion tombstones ({ id, updatedAt }) so deletes survive sync
+            upgrade(database) {
+                if (!database.objectStoreNames.contains(STORE_TOMBSTONES)) {
+                    database.createObjectStore(STORE_TOMBSTONES, { keyPath: 'id' });
+                }
+            }
+        },
+        4: {
+            // Hidden routines move from localStorage keys to timestamped records
+            upgrade(database, transaction) {
+                if (!database.objectStoreNames.contains(STORE_HIDDEN_ROUTINES)) {
+                    const hiddenStore = database.createObjectStore(STORE_HIDDEN_ROUTINES, { keyPath: 'id' });
+                    hiddenStore.createIndex('date', 'date', { unique: false });
+                }
+
+                const legacyMap = {};
+                Object.keys(localStorage).forEach(key => {
+                    if (key.startsWith(LEGACY_HIDDEN_PREFIX)) {
+                        legacyMap[key] = localStorage.getItem(key);
+                    }
+                });
+
+                const hiddenStore = transaction.objectStore(STORE_HIDDEN_ROUTINES);
+                legacyHiddenToRecords(legacyMap).forEach(record => hiddenStore.put(record));
+
+                // Only drop the old keys once the records are safely committed
+                transaction.addEventListener('complete', () => {
+                    Object.keys(legacyMap).forEach(key => localStorage.removeItem(key));
+                });
+            }
+        },
+        5: {
+            // Per-field clocks for field-level merge, seeded from the whole-block updatedAt
+            migrateBlock(block) {
+                if (block.fieldClocks) return block;
+                const seed = Clock.fromTime(block.updatedAt ? new Date(block.updatedAt).getTime() : 0);
+                const fieldClocks = {};
+                Merge.TRACKED_FIELDS.forEach(field => {
+                    fieldClocks[field] = seed;
+                });
+                return { ...block, fieldClocks };
+            }
+        },
+        6: {
+            // Outbox of local changes not yet pushed ({ seq, kind, ref, createdAt })
+            upgrade(database) {
+                if (!database.objectStoreNames.contains(STORE_OUTBOX)) {
+                    database.createObjectStore(STORE_OUTBOX, { keyPath: 'seq', autoIncrement: true });
+                }
+            }
+        },
+        7: {
+            // Local snapshots taken before destructive imports ({ id, createdAt, reason, blockCount, data })
+            upgrade(database) {
+                if (!database.objectStoreNames.contains(STORE_SNAPSHOTS)) {
+                    database.createObjectStore(STORE_SNAPSHOTS, { keyPath: 'id', autoIncrement: true });
+                }
+            }
+        },
+        8: {
+            // Google Calendar responses kept between sessions ({ key, fetchedAt, ... }, see calendar.js)
+            upgrade(database) {
+                if (!database.objectStoreNames.contains(STORE_CALENDAR_CACHE)) {
+                    database.createObjectStore(STORE_CALENDAR_CACHE, { keyPath: 'key' });
+                }
+            }
+        },
+        9: {
+            // Offline copies of calendar events were kept as blocks - the calendar cache has them now
+            migrateBlock(block) {
+                return block.fromCalendar ? null : block;
+            }
+        }
+    };
+
     /**
      * Initialize the database
      */
@@ -24,21 +153,117 @@ const Storage = (function () {
             };
 
             request.onupgradeneeded = (event) => {
-                const database = event.target.result;
+                runMigrations(event.target.result, event.target.transaction, event.oldVersion, event.newVersion);
+            };
+        });
+    }
 
-                // Create blocks store
-                if (!database.objectStoreNames.contains(STORE_BLOCKS)) {
-                    const blocksStore = database.createObjectStore(STORE_BLOCKS, { keyPath: 'id' });
-                    blocksStore.createIndex('date', 'date', { unique: false });
-                    blocksStore.createIndex('startTime', 'startTime', { unique: false });
-                }
+    /**
+     * Build a hidden-routine record
+     * @param {string} date - Date in YYYY-MM-DD format
+     * @param {string} routineId - Routine block ID
+     * @param {boolean} hidden - Hidden (true) or restored (false)
+     * @param {string} updatedAt - ISO timestamp
+     */
+    function hiddenRoutineRecord(date, routineId, hidden, updatedAt = new Date().toISOString()) {
+        return { id: `${date}|${routineId}`, date, routineId, hidden, updatedAt };
+    }
 
-                // Create settings store
-                if (!database.objectStoreNames.contains(STORE_SETTINGS)) {
-                    database.createObjectStore(STORE_SETTINGS, { keyPath: 'key' });
-                }
-            };
+    /**
+     * Convert the legacy { 'hiddenRoutines_<date>': '[ids]' } map into records.
+     * Legacy entries get an epoch timestamp so any explicit hide/restore beats them.
+     */
+    function legacyHiddenToRecords(legacyMap) {
+        const records = [];
+        const epoch = new Date(0).toISOString();
+
+        Object.entries(legacyMap || {}).forEach(([key, value]) => {
+            if (!key.startsWith(LEGACY_HIDDEN_PREFIX)) return;
+            const date = key.slice(LEGACY_HIDDEN_PREFIX.length);
+            try {
+                JSON.parse(value || '[]').forEach(routineId => {
+                    records.push(hiddenRoutineRecord(date, routineId, true, epoch));
+                });
+            } catch (e) {
+                console.warn(`Skipping unreadable hidden routines for ${date}`, e);
+            }
         });
+        return records;
+    }
+
+    /**
+     * Get migration steps that apply when going from one version to another
+     * @param {number} fromVersion - Version the data was written by
+     * @param {number} toVersion - Target version
+     */
+    function getMigrationSteps(fromVersion, toVersion = DB_VERSION) {
+        const steps = [];
+        for (let version = fromVersion + 1; version <= toVersion; version++) {
+            if (MIGRATIONS[version]) steps.push(MIGRATIONS[version]);
+        }
+        return steps;
+    }
+
+    /**
+     * Run schema changes and record rewrites inside the versionchange transaction
+     */
+    function runMigrations(database, transaction, oldVersion, newVersion) {
+        console.log(`Migrating database from v${oldVersion} to v${newVersion}`);
+        const steps = getMigrationSteps(oldVersion, newVersion);
+
+        // 1. Schema changes, in order
+        steps.forEach(step => {
+            if (step.upgrade) step.upgrade(database, transaction);
+        });
+
+        // 2. Record rewrites - composed into a single pass per store so that
+        // concurrent cursors don't overwrite each other's changes.
+        // A fresh database (oldVersion 0) has no records to rewrite.
+        if (oldVersion === 0) return;
+
+        rewriteStore(transaction.objectStore(STORE_BLOCKS), record => migrateBlock(record, oldVersion, newVersion));
+        rewriteStore(transaction.objectStore(STORE_SETTINGS), record => migrateSetting(record, oldVersion, newVersion));
+    }
+
+    /**
+     * Walk a store with a cursor and replace every record with its migrated form
+     * (or delete it if the migration drops it)
+     */
+    function rewriteStore(store, transform) {
+        store.openCursor().onsuccess = (e) => {
+            const cursor = e.target.result;
+            if (!cursor) return;
+            const record = transform(cursor.value);
+            if (record) {
+                cursor.update(record);
+            } else {
+                cursor.delete();
+            }
+            cursor.continue();
+        };
+    }
+
+    /**
+     * Upgrade a block record written by an older version to the current model
+     * @param {Object} block - Block record
+     * @param {number} fromVersion - Version the record was written by
+     * @param {number} toVersion - Target version
+     * @returns {Object|null} The migrated block, null if it is no longer kept
+     */
+    function migrateBlock(block, fromVersion = block.schemaVersion || 1, toVersion = DB_VERSION) {
+        if (fromVersion >= toVersion) return block; // Already current (or written by a newer client)
+
+        const migrated = getMigrationSteps(fromVersion, toVersion)
+            .reduce((record, step) => (record && step.migrateBlock ? step.migrateBlock(record) : record), block);
+        return migrated && { ...migrated, schemaVersion: toVersion };
+    }
+
+    /**
+     * Upgrade a setting record written by an older version to the current model
+     */
+    function migrateSetting(setting, fromVersion = 1, toVersion = DB_VERSION) {
+        return getMigrationSteps(fromVersion, toVersion)
+            .reduce((record, step) => step.migrateSetting ? step.migrateSetting(record) : record, setting);
     }
 
     /**
@@ -67,43 +292,197 @@ const Storage = (function () {
     }
 
     /**
-     * Save a block
-     * @param {Object} block - Block data
+     * Get a single block by ID
+     * @param {string} id - Block ID
      */
-    async function saveBlock(block) {
+    async function getBlock(id) {
         if (!db) await init();
 
-        if (!block.id) {
-            block.id = generateId();
-        }
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_BLOCKS, 'readonly');
+            const request = transaction.objectStore(STORE_BLOCKS).get(id);
+
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get all blocks in a date range (inclusive) in a single read
+     * @param {string} startDate - First date in YYYY-MM-DD format
+     * @param {string} endDate - Last date in YYYY-MM-DD format
+     */
+    async function getBlocksByDateRange(startDate, endDate) {
+        if (!db) await init();
 
         return new Promise((resolve, reject) => {
-            const transaction = db.transaction(STORE_BLOCKS, 'readwrite');
+            const transaction = db.transaction(STORE_BLOCKS, 'readonly');
             const store = transaction.objectStore(STORE_BLOCKS);
-            const request = store.put(block);
+            const index = store.index('date');
+            // YYYY-MM-DD strings sort chronologically, so a key range over the index works
+            const request = index.getAll(IDBKeyRange.bound(startDate, endDate));
 
-            request.onsuccess = () => resolve(block);
+            request.onsuccess = () => resolve(request.result || []);
             request.onerror = () => reject(request.error);
         });
     }
 
     /**
-     * Delete a block
+     * Save a block
+     * @param {Object} block - Block data
+     */
+    async function saveBlock(block) {
+        await applyBlockChanges({ put: [block] });
+        return block;
+    }
+
+    /**
+     * Delete a block (records a tombstone so the delete syncs)
      * @param {string} id - Block ID
      */
     async function deleteBlock(id) {
+        await applyBlockChanges({ delete: [id] });
+        return true;
+    }
+
+    /**
+     * Write many blocks and delete many IDs in a single transaction
+     * @param {Object} changes
+     * @param {Array} changes.put - Blocks to save
+     * @param {Array} changes.delete - Block IDs to delete
+     * @param {boolean} changes.cache - Cache refresh (calendar copies): no tombstones, not a local change
+     */
+    async function applyBlockChanges({ put = [], delete: deleteIds = [], cache = false } = {}) {
         if (!db) await init();
 
+        put.forEach(block => {
+            if (!block.id) block.id = generateId();
+            block.schemaVersion = DB_VERSION;
+        });
+
         return new Promise((resolve, reject) => {
-            const transaction = db.transaction(STORE_BLOCKS, 'readwrite');
+            const transaction = db.transaction([STORE_BLOCKS, STORE_TOMBSTONES, STORE_OUTBOX], 'readwrite');
             const store = transaction.objectStore(STORE_BLOCKS);
-            const request = store.delete(id);
+            const tombstoneStore = transaction.objectStore(STORE_TOMBSTONES);
+            const deletedAt = new Date().toISOString();
 
-            request.onsuccess = () => resolve(true);
+            // Deletes first so a put can re-create a deleted ID in the same batch
+            deleteIds.forEach(id => {
+                store.delete(id);
+                if (!cache) tombstoneStore.put({ id, updatedAt: deletedAt });
+            });
+            put.forEach(block => {
+                // Compare with the stored version to stamp changed fields for field-level merge
+                store.get(block.id).onsuccess = (e) => {
+                    Merge.stampBlock(block, e.target.result);
+                    store.put(block);
+                    tombstoneStore.delete(block.id); // Re-created - no longer deleted
+                };
+            });
+            if (!cache) {
+                deleteIds.forEach(id => enqueueChange(transaction, 'delete', id));
+                put.forEach(block => enqueueChange(transaction, 'block', block.id));
+            }
+
+            transaction.oncomplete = () => resolve({ saved: put.length, deleted: deleteIds.length });
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Add a local change to the outbox (inside a write transaction)
+     * @param {IDBTransaction} transaction - Must include the outbox store
+     * @param {string} kind - 'block', 'delete', 'hidden', 'setting' or 'push'
+     * @param {string} ref - ID or key of the changed record
+     */
+    function enqueueChange(transaction, kind, ref) {
+        transaction.objectStore(STORE_OUTBOX).add({ kind, ref, createdAt: new Date().toISOString() });
+    }
+
+    /**
+     * Request a full upload on the next sync without a data change
+     * (e.g. the backup has to be re-encrypted under a new passphrase)
+     * @param {string} reason - Logged with the outbox entry
+     */
+    async function queuePush(reason) {
+        if (!db) await init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_OUTBOX, 'readwrite');
+            enqueueChange(transaction, 'push', reason);
+
+            transaction.oncomplete = () => resolve(true);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Get the number of local changes waiting to be pushed
+     */
+    async function getOutboxCount() {
+        if (!db) await init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_OUTBOX, 'readonly');
+            const request = transaction.objectStore(STORE_OUTBOX).count();
+
+            request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
     }
 
+    /**
+     * Get the sequence number of the newest outbox entry (0 if empty).
+     * Read it before exporting, then clearOutbox(head) after the push succeeds.
+     */
+    async function getOutboxHead() {
+        if (!db) await init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_OUTBOX, 'readonly');
+            const request = transaction.objectStore(STORE_OUTBOX).openCursor(null, 'prev');
+
+            request.onsuccess = () => resolve(request.result ? request.result.key : 0);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Remove outbox entries up to and including a sequence number.
+     * Changes made during the push have higher numbers and stay queued.
+     * @param {number} head - Result of getOutboxHead() taken before the export
+     */
+    async function clearOutbox(head) {
+        if (!db) await init();
+        if (!head) return true;
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_OUTBOX, 'readwrite');
+            transaction.objectStore(STORE_OUTBOX).delete(IDBKeyRange.upperBound(head));
+
+            transaction.oncomplete = () => resolve(true);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Save multiple blocks in a single transaction
+     * @param {Array} blocks - Blocks to save
+     */
+    async function saveBlocks(blocks) {
+        await applyBlockChanges({ put: blocks });
+        return blocks;
+    }
+
+    /**
+     * Delete multiple blocks in a single transaction
+     * @param {Array} ids - Block IDs
+     */
+    async function deleteBlocks(ids) {
+        await applyBlockChanges({ delete: ids });
+        return true;
+    }
+
     /**
      * Get a setting value
      * @param {string} key - Setting key
@@ -137,15 +516,66 @@ const Storage = (function () {
         if (!db) await init();
 
         return new Promise((resolve, reject) => {
-            const transaction = db.transaction(STORE_SETTINGS, 'readwrite');
+            const transaction = db.transaction([STORE_SETTINGS, STORE_OUTBOX], 'readwrite');
             const store = transaction.objectStore(STORE_SETTINGS);
-            const request = store.put({ key, value });
+            const local = LOCAL_SETTINGS.includes(key);
+            // Synced settings carry a timestamp - the newer value wins a merge
+            const request = store.put(local ? { key, value } : { key, value, updatedAt: new Date().toISOString() });
+            if (!local) enqueueChange(transaction, 'setting', key);
 
             request.onsuccess = () => resolve(true);
             request.onerror = () => reject(request.error);
         });
     }
 
+    /**
+     * Get a cached calendar response (never synced or backed up)
+     * @param {string} key - Cache key
+     * @returns {Object|null} The cached record
+     */
+    async function getCalendarCache(key) {
+        if (!db) await init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_CALENDAR_CACHE, 'readonly');
+            const request = transaction.objectStore(STORE_CALENDAR_CACHE).get(key);
+
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Store a calendar response
+     * @param {Object} record - { key, fetchedAt, ... }
+     */
+    async function setCalendarCache(record) {
+        if (!db) await init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_CALENDAR_CACHE, 'readwrite');
+            transaction.objectStore(STORE_CALENDAR_CACHE).put(record);
+
+            transaction.oncomplete = () => resolve(true);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Drop all cached calendar responses (e.g. on sign-out)
+     */
+    async function clearCalendarCache() {
+        if (!db) await init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_CALENDAR_CACHE, 'readwrite');
+            transaction.objectStore(STORE_CALENDAR_CACHE).clear();
+
+            transaction.oncomplete = () => resolve(true);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
     /**
      * Clear all blocks for a specific date
      * @param {string} date - Date in YYYY-MM-DD format
@@ -156,7 +586,73 @@ const Storage = (function () {
         const blocks = await getBlocksByDate(date);
         const localBlocks = blocks.filter(b => !b.fromCalendar);
 
-        return Promise.all(localBlocks.map(b => deleteBlock(b.id)));
+        return deleteBlocks(localBlocks.map(b => b.id));
+    }
+
+    /**
+     * Get IDs of routines hidden on a date
+     * @param {string} date - Date in YYYY-MM-DD format
+     */
+    async function getHiddenRoutines(date) {
+        if (!db) await init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_HIDDEN_ROUTINES, 'readonly');
+            const index = transaction.objectStore(STORE_HIDDEN_ROUTINES).index('date');
+            const request = index.getAll(date);
+
+            request.onsuccess = () => resolve((request.result || []).filter(r => r.hidden).map(r => r.routineId));
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Hide or restore a routine on a date.
+     * Restoring keeps a record (hidden: false) so the un-hide wins over older hides on sync.
+     * @param {string} date - Date in YYYY-MM-DD format
+     * @param {string} routineId - Routine block ID
+     * @param {boolean} hidden - true to hide, false to restore
+     */
+    async function setRoutineHidden(date, routineId, hidden) {
+        if (!db) await init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORE_HIDDEN_ROUTINES, STORE_OUTBOX], 'readwrite');
+            const store = transaction.objectStore(STORE_HIDDEN_ROUTINES);
+            const record = hiddenRoutineRecord(date, routineId, hidden);
+            const request = store.put(record);
+            enqueueChange(transaction, 'hidden', record.id);
+
+            request.onsuccess = () => resolve(true);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Remove tombstones older than the retention window
+     */
+    async function purgeTombstones() {
+        if (!db) await init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_TOMBSTONES, 'readwrite');
+            const store = transaction.objectStore(STORE_TOMBSTONES);
+            const now = Date.now();
+            let purged = 0;
+
+            store.openCursor().onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (!cursor) return;
+                if (Merge.isExpired(cursor.value, now)) {
+                    cursor.delete();
+                    purged++;
+                }
+                cursor.continue();
+            };
+
+            transaction.oncomplete = () => resolve(purged);
+            transaction.onerror = () => reject(transaction.error);
+        });
     }
 
     /**
@@ -164,16 +660,21 @@ const Storage = (function () {
      */
     async function exportBackup() {
         if (!db) await init();
+        await purgeTombstones();
 
         return new Promise((resolve, reject) => {
-            const transaction = db.transaction([STORE_BLOCKS, STORE_SETTINGS], 'readonly');
+            const transaction = db.transaction([STORE_BLOCKS, STORE_SETTINGS, STORE_TOMBSTONES, STORE_HIDDEN_ROUTINES], 'readonly');
             const blocksStore = transaction.objectStore(STORE_BLOCKS);
             const settingsStore = transaction.objectStore(STORE_SETTINGS);
+            const tombstonesStore = transaction.objectStore(STORE_TOMBSTONES);
+            const hiddenStore = transaction.objectStore(STORE_HIDDEN_ROUTINES);
 
             const backup = {
                 blocks: [],
                 settings: [],
-                hiddenRoutines: {}, // NEW: Store hidden routines map
+                tombstones: [],
+                hiddenRoutines: [],
+                schemaVersion: DB_VERSION,
                 timestamp: Date.now()
             };
 
@@ -182,88 +683,131 @@ const Storage = (function () {
             };
 
             settingsStore.getAll().onsuccess = (e) => {
-                backup.settings = e.target.result;
+                backup.settings = e.target.result.filter(setting => !LOCAL_SETTINGS.includes(setting.key));
             };
 
-            // Export hidden routines from localStorage
-            Object.keys(localStorage).forEach(key => {
-                if (key.startsWith('hiddenRoutines_')) {
-                    backup.hiddenRoutines[key] = localStorage.getItem(key);
-                }
-            });
+            tombstonesStore.getAll().onsuccess = (e) => {
+                backup.tombstones = e.target.result;
+            };
+
+            hiddenStore.getAll().onsuccess = (e) => {
+                backup.hiddenRoutines = e.target.result;
+            };
 
             transaction.oncomplete = () => resolve(backup);
             transaction.onerror = () => reject(transaction.error);
         });
     }
 
+    /**
+     * Upgrade a backup written by an older client, record by record
+     * Backups without schemaVersion are v1.
+     * @param {Object} data - Backup data
+     */
+    function migrateBackup(data) {
+        const backupVersion = data.schemaVersion || 1;
+        if (backupVersion > DB_VERSION) {
+            console.warn(`Backup was written by a newer schema (v${backupVersion} > v${DB_VERSION})`);
+        }
+        return {
+            ...data,
+            blocks: (data.blocks || [])
+                .map(block => migrateBlock(block, block.schemaVersion || backupVersion))
+                .filter(Boolean),
+            settings: data.settings ? data.settings.map(setting => migrateSetting(setting, backupVersion)) : data.settings,
+            // Before v4, hidden routines were a map of raw localStorage entries
+            hiddenRoutines: Array.isArray(data.hiddenRoutines) ? data.hiddenRoutines : legacyHiddenToRecords(data.hiddenRoutines),
+            schemaVersion: Math.max(backupVersion, DB_VERSION)
+        };
+    }
+
     /**
      * Import backup data (merges or overwrites)
      * @param {Object} data - Backup data
-     * @param {boolean} overwrite - Whether to overwrite existing data
+     * @param {boolean} overwrite - Whether to overwrite existing data (merging keeps
+     *   records edited locally after `data` was put together)
+     * @param {Object} options
+     * @param {string} options.snapshotReason - Label of the snapshot taken before importing
      */
-    async function importBackup(data, overwrite = true) {
+    async function importBackup(data, overwrite = true, { snapshotReason = 'import' } = {}) {
         if (!db) await init();
         if (!data || !data.blocks) return false;
 
+        data = migrateBackup(data);
+
+        // Importing rewrites local data - keep a way back
+        await createSnapshot(snapshotReason);
+
         return new Promise((resolve, reject) => {
-            const transaction = db.transaction([STORE_BLOCKS, STORE_SETTINGS], 'readwrite');
+            const transaction = db.transaction([STORE_BLOCKS, STORE_SETTINGS, STORE_TOMBSTONES, STORE_HIDDEN_ROUTINES], 'readwrite');
             const blocksStore = transaction.objectStore(STORE_BLOCKS);
             const settingsStore = transaction.objectStore(STORE_SETTINGS);
+            const tombstonesStore = transaction.objectStore(STORE_TOMBSTONES);
+            const hiddenStore = transaction.objectStore(STORE_HIDDEN_ROUTINES);
+            // Older backups may carry another device's token etc. - never apply those
+            const syncedSettings = (data.settings || []).filter(setting => !LOCAL_SETTINGS.includes(setting.key));
 
             if (overwrite) {
-                // "Overwrite" mode (full restore) - Dangerous if we want to merge? 
-                // Actually, existing code used current local data to MERGE with remote, then called importBackup(merged, true).
-                // So if we are called with overwrite=true from app.js sync logic, it means "Apply this state".
-                // But app.js logic constructed the state. 
-                // Let's modify app.js logic instead?
-                // Wait. importBackup here just dumps data.
-
+                // "Apply this state" - callers (sync) have already merged local and remote
                 blocksStore.clear();
-                settingsStore.clear();
+                tombstonesStore.clear();
+                hiddenStore.clear();
+
+                // Settings: replace everything except this device's own keys
+                settingsStore.getAllKeys().onsuccess = (e) => {
+                    e.target.result
+                        .filter(key => !LOCAL_SETTINGS.includes(key))
+                        .forEach(key => settingsStore.delete(key));
+                    syncedSettings.forEach(setting => settingsStore.put(setting));
+                };
 
                 data.blocks.forEach(block => blocksStore.put(block));
-                if (data.settings) {
-                    data.settings.forEach(setting => settingsStore.put(setting));
+                if (data.tombstones) {
+                    data.tombstones.forEach(tombstone => tombstonesStore.put(tombstone));
                 }
+                data.hiddenRoutines.forEach(record => hiddenStore.put(record));
             } else {
-                // MERGE MODE (overwrite=false)
-                // This is where "Smart Merge" happens if we just want to ingest remote data.
-                // iterate remote blocks
-                data.blocks.forEach(remoteBlock => {
-                    const request = blocksStore.get(remoteBlock.id);
-                    request.onsuccess = () => {
-                        const localBlock = request.result;
-                        if (localBlock) {
-                            // Conflict: Check timestamps
-                            const localTime = localBlock.updatedAt ? new Date(localBlock.updatedAt).getTime() : 0;
-                            const remoteTime = remoteBlock.updatedAt ? new Date(remoteBlock.updatedAt).getTime() : 0;
-
-                            if (remoteTime >= localTime) {
-                                // Remote is newer or equal -> Overwrite
-                                blocksStore.put(remoteBlock);
-                            } else {
-                                // Local is newer -> Keep local (Skip put)
-                                console.log(`Keeping local newer block: ${localBlock.title} (${localBlock.updatedAt} vs ${remoteBlock.updatedAt})`);
-                            }
-                        } else {
-                            // New block from remote -> Add
-                            blocksStore.put(remoteBlock);
-                        }
-                    };
-                });
-
-                // Settings - blindly overwrite or check?
-                if (data.settings) {
-                    data.settings.forEach(setting => settingsStore.put(setting));
-                }
-            }
-
-            // Restore hidden routines to localStorage
-            if (data.hiddenRoutines) {
-                Object.entries(data.hiddenRoutines).forEach(([key, value]) => {
-                    localStorage.setItem(key, value);
-                });
+                // MERGE MODE (overwrite=false) - ingest remote data using the shared merge rules.
+                // Remote wins ties here, local deletes still beat older remote copies.
+                let localBlocks = null;
+                let localTombstones = null;
+
+                const applyMerge = () => {
+                    if (!localBlocks || !localTombstones) return;
+
+                    const merged = Merge.mergeBlocks(localBlocks, data.blocks, localTombstones, data.tombstones || [], 'remote');
+                    const keptIds = new Set(merged.blocks.map(b => b.id));
+
+                    localBlocks
+                        .filter(b => !keptIds.has(b.id))
+                        .forEach(b => blocksStore.delete(b.id));
+                    merged.blocks.forEach(block => blocksStore.put(block));
+
+                    tombstonesStore.clear();
+                    merged.tombstones.forEach(tombstone => tombstonesStore.put(tombstone));
+                };
+
+                // Hidden routines - newer record per routine/day wins
+                hiddenStore.getAll().onsuccess = (e) => {
+                    Merge.mergeHiddenRoutines(e.target.result, data.hiddenRoutines, 'remote')
+                        .forEach(record => hiddenStore.put(record));
+                };
+
+                blocksStore.getAll().onsuccess = (e) => {
+                    localBlocks = e.target.result;
+                    applyMerge();
+                };
+                tombstonesStore.getAll().onsuccess = (e) => {
+                    localTombstones = e.target.result;
+                    applyMerge();
+                };
+
+                // Settings - newer record per key wins (except this device's own keys)
+                settingsStore.getAll().onsuccess = (e) => {
+                    const localSettings = e.target.result.filter(setting => !LOCAL_SETTINGS.includes(setting.key));
+                    Merge.mergeSettings(localSettings, syncedSettings, 'remote')
+                        .forEach(setting => settingsStore.put(setting));
+                };
             }
 
             transaction.oncomplete = () => resolve(true);
@@ -271,17 +815,204 @@ const Storage = (function () {
         });
     }
 
+    /**
+     * Count the user's own blocks (calendar events are only a cache)
+     */
+    function countUserBlocks(blocks) {
+        return (blocks || []).filter(b => !b.fromCalendar).length;
+    }
+
+    /**
+     * Read all snapshots, oldest first
+     */
+    async function getAllSnapshots() {
+        if (!db) await init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_SNAPSHOTS, 'readonly');
+            const request = transaction.objectStore(STORE_SNAPSHOTS).getAll();
+
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Save a snapshot of the current local state.
+     * Skipped when nothing changed since the latest snapshot, so frequent syncs
+     * don't push older snapshots out of the history.
+     * @param {string} reason - 'sync', 'import', 'restore', ...
+     * @returns {number|null} Snapshot ID, or null if skipped
+     */
+    async function createSnapshot(reason) {
+        const data = await exportBackup();
+        const snapshots = await getAllSnapshots();
+        const latest = snapshots[snapshots.length - 1];
+
+        if (latest &&
+            JSON.stringify(latest.data.blocks) === JSON.stringify(data.blocks) &&
+            JSON.stringify(latest.data.hiddenRoutines) === JSON.stringify(data.hiddenRoutines)) {
+            return null;
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_SNAPSHOTS, 'readwrite');
+            const store = transaction.objectStore(STORE_SNAPSHOTS);
+            const request = store.add({
+                createdAt: new Date().toISOString(),
+                reason,
+                blockCount: countUserBlocks(data.blocks),
+                data
+            });
+
+            snapshots
+                .slice(0, Math.max(0, snapshots.length + 1 - SNAPSHOT_LIMIT))
+                .forEach(old => store.delete(old.id));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * List snapshots without their data, newest first
+     */
+    async function getSnapshots() {
+        const snapshots = await getAllSnapshots();
+        return snapshots
+            .map(({ data, ...meta }) => meta)
+            .reverse();
+    }
+
+    /**
+     * Get a single snapshot including its data
+     * @param {number} id - Snapshot ID
+     */
+    async function getSnapshot(id) {
+        if (!db) await init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_SNAPSHOTS, 'readonly');
+            const request = transaction.objectStore(STORE_SNAPSHOTS).get(id);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Compare the current blocks with a snapshot's blocks (calendar events ignored)
+     * @returns {Object} { restored, removed, changed } - what a restore would bring back,
+     *   delete and modify; restored/changed hold the snapshot versions
+     */
+    function diffBlocks(currentBlocks, snapshotBlocks) {
+        const current = new Map(currentBlocks.filter(b => !b.fromCalendar).map(b => [b.id, b]));
+        const target = new Map(snapshotBlocks.filter(b => !b.fromCalendar).map(b => [b.id, b]));
+        const diff = { restored: [], removed: [], changed: [] };
+
+        target.forEach((block, id) => {
+            const existing = current.get(id);
+            if (!existing) {
+                diff.restored.push(block);
+            } else if (Merge.TRACKED_FIELDS.some(field => (existing[field] || '') !== (block[field] || ''))) {
+                diff.changed.push(block);
+            }
+        });
+        current.forEach((block, id) => {
+            if (!target.has(id)) diff.removed.push(block);
+        });
+        return diff;
+    }
+
+    /**
+     * Preview what restoring a snapshot would change
+     * @param {number} id - Snapshot ID
+     */
+    async function diffSnapshot(id) {
+        const snapshot = await getSnapshot(id);
+        if (!snapshot) throw new Error(`Snapshot ${id} not found`);
+        const current = await exportBackup();
+        return diffBlocks(current.blocks, migrateBackup(snapshot.data).blocks);
+    }
+
+    /**
+     * Bring local data back to a snapshot.
+     * Applied as fresh local edits (new field clocks, tombstones, outbox entries),
+     * so the restored state wins the next sync instead of being merged away.
+     * @param {number} id - Snapshot ID
+     * @returns {Object} The applied diff (see diffBlocks)
+     */
+    async function restoreSnapshot(id) {
+        const snapshot = await getSnapshot(id);
+        if (!snapshot) throw new Error(`Snapshot ${id} not found`);
+        const target = migrateBackup(snapshot.data);
+
+        await createSnapshot('restore');
+        const current = await exportBackup();
+        const diff = diffBlocks(current.blocks, target.blocks);
+
+        // Drop the old clocks - every restored field must be stamped as a new change
+        const put = [...diff.restored, ...diff.changed].map(({ fieldClocks, ...block }) => block);
+        await applyBlockChanges({ put, delete: diff.removed.map(b => b.id) });
+
+        const currentHidden = new Map(current.hiddenRoutines.map(r => [r.id, r.hidden]));
+        const targetHidden = new Map(target.hiddenRoutines.map(r => [r.id, r]));
+        for (const [recordId, hidden] of currentHidden) {
+            if (hidden && !(targetHidden.get(recordId) || {}).hidden) {
+                const [date, routineId] = recordId.split('|');
+                await setRoutineHidden(date, routineId, false);
+            }
+        }
+        for (const record of targetHidden.values()) {
+            if (record.hidden && !currentHidden.get(record.id)) {
+                await setRoutineHidden(record.date, record.routineId, true);
+            }
+        }
+
+        const currentSettings = new Map(current.settings.map(setting => [setting.key, setting.value]));
+        for (const setting of target.settings || []) {
+            if (LOCAL_SETTINGS.includes(setting.key)) continue;
+            if (JSON.stringify(currentSettings.get(setting.key)) !== JSON.stringify(setting.value)) {
+                await setSetting(setting.key, setting.value);
+            }
+        }
+
+        return diff;
+    }
+
     // Public API
     return {
         init,
         generateId,
+        getBlock,
         getBlocksByDate,
+        getBlocksByDateRange,
         saveBlock,
+        saveBlocks,
         deleteBlock,
+        deleteBlocks,
+        applyBlockChanges,
+        queuePush,
+        getOutboxCount,
+        getOutboxHead,
+        clearOutbox,
+        getHiddenRoutines,
+        setRoutineHidden,
         getSetting,
         setSetting,
+        getCalendarCache,
+        setCalendarCache,
+        clearCalendarCache,
         clearBlocksByDate,
+        purgeTombstones,
         exportBackup,
-        importBackup
+        importBackup,
+        migrateBackup,
+        createSnapshot,
+        getSnapshots,
+        diffSnapshot,
+        restoreSnapshot,
+        migrateBlock,
+        SCHEMA_VERSION: DB_VERSION
     };
 })();
@@ -0,0 +1,603 @@
+/**
+ * sync.js - Sync engine
+ *
+ * Every sync trigger (sign-in, focus, visibility, timer, auto-save, buttons,
+ * service worker replay) goes through run(). One sync runs at a time; a request
+ * made while one is in flight runs once more afterwards (once per mode, so a
+ * manual push or pull never turns into an automatic merge), because the
+ * running sync may already have read local state.
+ *
+ * Remote storage goes through the active backend (Google Drive or WebDAV,
+ * see backends.js); the merge is the same for all of them.
+ *
+ * States: idle -> pulling -> merging -> pushing -> idle, or error.
+ * The UI subscribes with Sync.on(event, handler):
+ *   'state'     - { state, error }
+ *   'synced'    - { reason, data } (data is null when nothing was downloaded)
+ *   'pending'   - number of local changes not yet pushed
+ *   'conflicts' - conflicts found by the last merge
+ *   'duplicates' - summary of duplicate data files merged and deleted
+ *   'status'    - { lastPull, lastPush, remote, lastError } for the sync panel
+ *                 (kept in local settings, so it survives reloads)
+ */
+
+const Sync = (function () {
+    const STATE = {
+        IDLE: 'idle',
+        PULLING: 'pulling',
+        MERGING: 'merging',
+        PUSHING: 'pushing',
+        ERROR: 'error'
+    };
+
+    // What run() does - everything but AUTO is a manual action from the sync panel
+    const MODE = {
+        AUTO: 'auto', // Pull if changed, merge, push if changed
+        PULL: 'pull', // Pull and merge, keep local edits queued
+        PUSH: 'push', // Replace the remote copy with local data
+        FULL: 'full' // Download everything, merge and push regardless of change detection
+    };
+
+    const MAX_MERGE_ATTEMPTS = 3;
+    const SAVE_DELAY = 2000; // Debounce for auto-save after edits
+    const PERIODIC_INTERVAL = 5 * 60 * 1000;
+    const OUTBOX_SYNC_TAG = 'timeboxing-outbox'; // Must match sw.js
+
+    let state = STATE.IDLE;
+    let lastError = null;
+    let running = null; // Promise of the sync in flight
+    const queued = {}; // Promise of the follow-up sync, per mode
+    let saveTimeout = null;
+    let pendingCount = 0;
+    let status = { lastPull: null, lastPush: null, remote: null, lastError: null };
+    let statusLoaded = null; // Promise of reading the stored status (see start)
+    const listeners = {};
+
+    /**
+     * Subscribe to a sync event
+     */
+    function on(event, handler) {
+        (listeners[event] = listeners[event] || []).push(handler);
+    }
+
+    /**
+     * Unsubscribe from a sync event
+     */
+    function off(event, handler) {
+        listeners[event] = (listeners[event] || []).filter(h => h !== handler);
+    }
+
+    /**
+     * Call the listeners of an event; a failing listener (sync or async) is logged
+     * and doesn't affect the others or the sync
+     */
+    function emit(event, detail) {
+        const report = e => console.error(`Sync: '${event}' listener failed`, e);
+        (listeners[event] || []).forEach(handler => {
+            try {
+                Promise.resolve(handler(detail)).catch(report);
+            } catch (e) {
+                report(e);
+            }
+        });
+    }
+
+    function setState(next, error = null) {
+        state = next;
+        lastError = error;
+        emit('state', { state, error });
+    }
+
+    /**
+     * Re-read the number of unpushed local changes
+     * @returns {number}
+     */
+    async function refreshPendingCount() {
+        try {
+            pendingCount = await Storage.getOutboxCount();
+            emit('pending', pendingCount);
+        } catch (e) {
+            console.error('Failed to read outbox:', e);
+        }
+        return pendingCount;
+    }
+
+    /**
+     * Update and persist the sync panel details
+     * @param {Object} changes - Fields of the status to replace
+     */
+    async function updateStatus(changes) {
+        await statusLoaded;
+        status = { ...status, ...changes };
+        try {
+            await Storage.setSetting('syncStatus', status);
+        } catch (e) {
+            console.error('Failed to store sync status:', e);
+        }
+        emit('status', status);
+    }
+
+    /**
+     * Record a successful look at the remote (and upload, if pushed)
+     * @param {Object} backend - Active sync backend
+     * @param {Object|null} file - Main file metadata ({ id, version, size? }), null if there is none
+     * @param {Object} partitions - Month files the main file points at
+     * @param {boolean} pushed - Whether this sync uploaded
+     */
+    async function recordRemote(backend, file, partitions, pushed) {
+        const now = Date.now();
+        const months = Object.values(partitions || {});
+        await updateStatus({
+            lastPull: now,
+            lastPush: pushed ? now : status.lastPush,
+            remote: file && {
+                backend: backend.label,
+                id: file.id,
+                version: file.version,
+                // Month files plus the main file when the backend reports its size
+                size: months.reduce((sum, p) => sum + (p.size || 0), 0) + (Number(file.size) || 0),
+                months: months.length
+            }
+        });
+    }
+
+    /**
+     * Ask the service worker to replay the outbox once connectivity returns
+     */
+    async function requestBackgroundSync() {
+        if (!('serviceWorker' in navigator)) return;
+        try {
+            const reg = await navigator.serviceWorker.ready;
+            if (reg.sync) await reg.sync.register(OUTBOX_SYNC_TAG);
+        } catch (e) {
+            console.warn('Background Sync not available:', e);
+        }
+    }
+
+    /**
+     * Remember what a successful push or merge left on the remote
+     * @param {string|null} remoteVersion - Remote file version now matching local data
+     * @param {number} outboxHead - Storage.getOutboxHead() read before exporting the pushed data
+     */
+    async function recordSynced(remoteVersion, outboxHead) {
+        await Storage.setSetting('lastSyncedRemoteVersion', remoteVersion);
+        if (outboxHead) {
+            await Storage.clearOutbox(outboxHead);
+        }
+        await refreshPendingCount();
+    }
+
+    /**
+     * Store conflicts found by a merge for later review
+     * @param {Array} conflicts - From Merge.mergeBackups
+     */
+    async function recordConflicts(conflicts) {
+        let stored = await Storage.getSetting('syncConflicts', []);
+        if (conflicts && conflicts.length > 0) {
+            console.warn(`Sync: ${conflicts.length} conflicting block(s) kept for review`);
+            const byId = new Map(stored.map(c => [c.id, c]));
+            conflicts.forEach(c => byId.set(c.id, c)); // Newest collision replaces an older one
+            stored = Array.from(byId.values());
+            await Storage.setSetting('syncConflicts', stored);
+        }
+        emit('conflicts', stored);
+    }
+
+    /**
+     * Count blocks a merge step added or changed
+     * @returns {Object} { added, updated }
+     */
+    function countMergedChanges(beforeBlocks, afterBlocks) {
+        const before = new Map(beforeBlocks.map(b => [b.id, b]));
+        let added = 0;
+        let updated = 0;
+        afterBlocks.forEach(block => {
+            const previous = before.get(block.id);
+            if (!previous) {
+                added++;
+            } else if (Merge.TRACKED_FIELDS.some(field => previous[field] !== block[field])) {
+                updated++;
+            }
+        });
+        return { added, updated };
+    }
+
+    /**
+     * Load a main data file and expand it into backup data
+     * @param {Object} backend - Active sync backend
+     * @param {Object} meta - File metadata (detectChanges() or one of its duplicates)
+     * @param {Object} known - Partitions already held locally (see Partitions.expand)
+     * @param {Object} options - Passed to backend.load
+     * @returns {Object|null} { data, partitions, legacy } - legacy: old single-file backup
+     */
+    async function loadRemote(backend, meta, known = {}, options = {}) {
+        const file = await backend.load(meta, options);
+        if (!file) return null;
+        if (!Partitions.isManifest(file)) {
+            return { data: file, partitions: {}, legacy: true };
+        }
+        return { data: await Partitions.expand(file, backend.files, known), partitions: file.partitions || {}, legacy: false };
+    }
+
+    /**
+     * Upload the changed months, then replace the manifest (conditional on expectedVersion)
+     * @param {Object} backend - Active sync backend
+     * @param {Object} data - Full backup to push
+     * @param {Object} base - Partitions of the manifest being replaced
+     * @param {string|null} expectedVersion - See backend.save
+     * @returns {Object} { id, version, partitions } of the saved manifest
+     */
+    async function pushRemote(backend, data, base, expectedVersion) {
+        const { manifest, created, obsolete } = await Partitions.write(data, backend.files, base);
+
+        let saved;
+        try {
+            saved = await backend.save(manifest, { expectedVersion });
+        } catch (e) {
+            await Partitions.removeFiles(backend.files, created); // Nothing points at them
+            throw e;
+        }
+
+        await Partitions.removeFiles(backend.files, obsolete);
+        await Storage.setSetting('lastSyncedPartitions', manifest.partitions);
+        await Encryption.forgetPreviousKeys(); // Everything the manifest points at uses the current key
+        return { id: saved.id, version: saved.version, partitions: manifest.partitions };
+    }
+
+    /**
+     * Fold duplicate data files into merged data with the normal merge rules
+     * @param {Object} backend - Active sync backend
+     * @param {Object} mergedData - Local + canonical remote, already merged
+     * @param {Array} duplicates - File metadata from detectChanges().duplicates
+     * @returns {Object} { data, summary, unreadable } - summary lists only files that were read,
+     *   unreadable the metadata of the rest
+     */
+    async function mergeDuplicates(backend, mergedData, duplicates) {
+        let data = mergedData;
+        const summary = [];
+        const unreadable = [];
+
+        for (const file of duplicates) {
+            const duplicate = await loadRemote(backend, file, {}, { trackVersion: false });
+            if (!duplicate) {
+                // Unreadable - keep the file so its edits aren't lost
+                console.warn(`Sync: Could not read duplicate data file ${file.id}, keeping it`);
+                unreadable.push(file);
+                continue;
+            }
+
+            const { conflicts, ...next } = Merge.mergeBackups(data, Storage.migrateBackup(duplicate.data));
+            summary.push({
+                fileId: file.id,
+                partitionFileIds: Object.values(duplicate.partitions).map(p => p.fileId),
+                createdTime: file.createdTime,
+                blockCount: (duplicate.data.blocks || []).length,
+                ...countMergedChanges(data.blocks, next.blocks)
+            });
+            data = next;
+        }
+        return { data, summary, unreadable };
+    }
+
+    /**
+     * Delete merged duplicate files and their month files
+     * @param {Object} backend - Active sync backend
+     * @param {Array} summary - From mergeDuplicates (marks each entry as deleted or not)
+     * @param {Object} keepPartitions - Partitions of the canonical manifest, never deleted
+     */
+    async function removeDuplicates(backend, summary, keepPartitions) {
+        const inUse = new Set(Object.values(keepPartitions).map(p => p.fileId));
+        for (const entry of summary) {
+            try {
+                await backend.files.remove(entry.fileId);
+                entry.deleted = true;
+            } catch (e) {
+                // Merged again (harmlessly) on the next sync
+                entry.deleted = false;
+                continue;
+            }
+            await Partitions.removeFiles(backend.files, entry.partitionFileIds.filter(id => !inUse.has(id)));
+        }
+    }
+
+    /**
+     * Pull remote data, merge with local, push the result and apply it locally.
+     * Checks the remote file's version first, so nothing is downloaded when the file
+     * is unchanged since the last sync and nothing is uploaded without local edits.
+     * The push is conditional on the version that was pulled; if another device
+     * saved in the meantime (412), start over with the newer copy.
+     * Duplicate data files are merged in as well, and deleted once the result is pushed.
+     * The remote holds a manifest plus month files (see partitions.js); only changed months
+     * are transferred. A legacy single-file backup is read and replaced by a manifest.
+     * @param {Object} backend - Active sync backend
+     * @param {string} mode - MODE.AUTO, MODE.PULL (never upload) or MODE.FULL
+     *   (download every month and push the merge, whatever changed)
+     * @returns {Object|null} Merged data, or null if nothing had to be downloaded
+     */
+    async function pullMergePush(backend, mode) {
+        const full = mode === MODE.FULL;
+        const canPush = mode !== MODE.PULL;
+
+        for (let attempt = 1; attempt <= MAX_MERGE_ATTEMPTS; attempt++) {
+            setState(STATE.PULLING);
+
+            // 0. Cheap change detection (metadata only)
+            const meta = await backend.detectChanges();
+            const remoteVersion = meta ? meta.version : null;
+            // Duplicates that couldn't be read are kept - skip them until they change
+            const allDuplicates = meta ? meta.duplicates || [] : [];
+            const skippedDuplicates = await Storage.getSetting('skippedDuplicates', {});
+            const duplicates = allDuplicates.filter(file => skippedDuplicates[file.id] !== file.version);
+            const lastSyncedVersion = await Storage.getSetting('lastSyncedRemoteVersion');
+            const outboxHead = await Storage.getOutboxHead();
+            const neverSynced = lastSyncedVersion === null;
+            const remoteChanged = full || neverSynced || remoteVersion !== lastSyncedVersion || duplicates.length > 0;
+            const localChanged = full || neverSynced || outboxHead > 0;
+
+            if (!remoteChanged && !(localChanged && canPush)) {
+                console.log(`Sync: ${backend.label} file unchanged (v${remoteVersion}), nothing to push`);
+                await recordRemote(backend, meta, await Storage.getSetting('lastSyncedPartitions', {}), false);
+                return null;
+            }
+            if (!meta && !canPush) {
+                console.log(`Sync: Nothing on ${backend.label} to pull`);
+                await recordRemote(backend, null, {}, false);
+                return null;
+            }
+
+            try {
+                if (!remoteChanged) {
+                    // The remote still holds what we last synced - local data is a superset, just push it
+                    console.log(`Sync: ${backend.label} file unchanged (v${remoteVersion}), pushing local changes`);
+                    setState(STATE.PUSHING);
+                    const lastPartitions = await Storage.getSetting('lastSyncedPartitions', {});
+                    const syncClock = Clock.now(); // Before the export, like a merge
+                    const saved = await pushRemote(backend, await Storage.exportBackup(), lastPartitions, remoteVersion);
+                    await Storage.setSetting('lastSyncClock', syncClock);
+                    await recordSynced(saved.version, outboxHead);
+                    await recordRemote(backend, saved, saved.partitions, true);
+                    return null;
+                }
+
+                // 1. Load data from the backend (Remote) - only the months changed since our last sync
+                const lastPartitions = full ? {} : await Storage.getSetting('lastSyncedPartitions', {});
+                const remote = meta ? await loadRemote(backend, meta, lastPartitions) : null;
+                if (meta && !remote) {
+                    // Merging with "nothing" would overwrite the remote copy with local data only
+                    throw new Error(`Nepodařilo se stáhnout data (${backend.label})`);
+                }
+
+                // 2. Load data from Local
+                setState(STATE.MERGING);
+                const lastSyncClock = await Storage.getSetting('lastSyncClock');
+                const syncClock = Clock.now();
+                const localData = await Storage.exportBackup();
+
+                // 3. Merge (see merge.js): union of IDs, field-level merge by clock,
+                // tombstones remove blocks deleted on either side
+                const { conflicts, ...canonicalMerge } = Merge.mergeBackups(
+                    localData,
+                    remote && Storage.migrateBackup(remote.data),
+                    { since: lastSyncClock }
+                );
+                const { data: mergedData, summary: duplicateSummary, unreadable } = await mergeDuplicates(backend, canonicalMerge, duplicates);
+
+                // 4. Push MERGED data back to the remote (so other device gets my changes + I keep theirs).
+                // Without local edits the merge equals the remote copy - no upload needed,
+                // unless the remote copy is missing or still in the legacy format.
+                // A pull-only sync leaves local edits in the outbox for the next push.
+                let syncedFile = meta;
+                let syncedPartitions = remote ? remote.partitions : {};
+                const pushed = canPush && (localChanged || !remote || remote.legacy || duplicateSummary.length > 0);
+                if (pushed) {
+                    setState(STATE.PUSHING);
+                    syncedFile = await pushRemote(backend, mergedData, syncedPartitions, remoteVersion);
+                    syncedPartitions = syncedFile.partitions;
+                } else {
+                    await Storage.setSetting('lastSyncedPartitions', syncedPartitions);
+                }
+
+                // 4b. The canonical file now holds their contents - drop the duplicates
+                if (pushed) {
+                    await removeDuplicates(backend, duplicateSummary, syncedPartitions);
+                }
+
+                // 5. Update Local Storage with MERGED data - merged record by record, so edits
+                // made while this sync was on the network (newer clocks) survive and stay queued
+                await Storage.importBackup(mergedData, false, { snapshotReason: 'sync' });
+                await Storage.setSetting('lastSyncClock', syncClock);
+                await recordSynced(syncedFile.version, pushed ? outboxHead : 0);
+                await recordConflicts(conflicts);
+                await recordRemote(backend, syncedFile, syncedPartitions, pushed);
+                const skipped = allDuplicates.filter(file => skippedDuplicates[file.id] === file.version).concat(unreadable);
+                await Storage.setSetting('skippedDuplicates', Object.fromEntries(skipped.map(file => [file.id, file.version])));
+                if (pushed && duplicateSummary.length > 0) {
+                    emit('duplicates', duplicateSummary);
+                }
+                return mergedData;
+            } catch (e) {
+                if (e.status === 412 && attempt < MAX_MERGE_ATTEMPTS) {
+                    console.log(`Sync: Remote changed during merge, retrying (${attempt}/${MAX_MERGE_ATTEMPTS})`);
+                    continue;
+                }
+                throw e;
+            }
+        }
+    }
+
+    /**
+     * Replace the remote copy with local data, without merging (manual push).
+     * Changes on the remote that this device hasn't pulled are lost.
+     * @param {Object} backend - Active sync backend
+     */
+    async function forcePush(backend) {
+        for (let attempt = 1; attempt <= MAX_MERGE_ATTEMPTS; attempt++) {
+            setState(STATE.PUSHING);
+            const meta = await backend.detectChanges();
+            const outboxHead = await Storage.getOutboxHead();
+            const syncClock = Clock.now();
+
+            try {
+                // Reuse the month files of the copy being replaced (the rest is deleted)
+                const current = meta ? await backend.load(meta) : null;
+                const base = Partitions.isManifest(current) ? current.partitions || {} : {};
+
+                const saved = await pushRemote(backend, await Storage.exportBackup(), base, meta ? meta.version : null);
+                await Storage.setSetting('lastSyncClock', syncClock);
+                await recordSynced(saved.version, outboxHead);
+                await recordRemote(backend, saved, saved.partitions, true);
+                return null;
+            } catch (e) {
+                if (e.status === 412 && attempt < MAX_MERGE_ATTEMPTS) {
+                    console.log(`Sync: Remote changed during push, retrying (${attempt}/${MAX_MERGE_ATTEMPTS})`);
+                    continue;
+                }
+                throw e;
+            }
+        }
+    }
+
+    async function execute(reason, mode) {
+        const backend = await Backends.getActive();
+        if (!await backend.isAvailable()) return null;
+
+        console.log(`Sync started (${reason}, ${mode}, ${backend.label})`);
+        try {
+            const data = mode === MODE.PUSH ? await forcePush(backend) : await pullMergePush(backend, mode);
+            await updateStatus({ lastError: null });
+            setState(STATE.IDLE);
+            emit('synced', { reason, data });
+            return data;
+        } catch (e) {
+            console.error('Sync failed', e);
+            await updateStatus({
+                lastError: {
+                    message: e.message || String(e),
+                    status: e.status || null,
+                    code: e.code || null,
+                    reason,
+                    time: Date.now()
+                }
+            });
+            // Local changes stay in the outbox - let the service worker retry once back online
+            if (await refreshPendingCount() > 0) {
+                requestBackgroundSync();
+            }
+            setState(STATE.ERROR, e);
+            throw e;
+        }
+    }
+
+    /**
+     * Run a sync (by default pull, merge, push)
+     * @param {string} reason - What triggered the sync (for logs and listeners)
+     * @param {Object} options
+     * @param {string} options.mode - See MODE (manual pull, push or full merge from the sync panel)
+     * @returns {Promise<Object|null>} Merged data, or null if nothing was downloaded
+     *   (or the backend isn't signed in / configured)
+     */
+    function run(reason = 'manual', { mode = MODE.AUTO } = {}) {
+        if (!running) {
+            running = execute(reason, mode).finally(() => {
+                running = null;
+            });
+            return running;
+        }
+
+        if (!queued[mode]) {
+            queued[mode] = running.catch(() => { }).then(() => {
+                delete queued[mode];
+                return run(reason, { mode });
+            });
+        }
+        return queued[mode];
+    }
+
+    /**
+     * Run a sync from a trigger nobody waits on; failures reach the UI through the 'state' event
+     */
+    function runInBackground(reason) {
+        run(reason).catch(() => { });
+    }
+
+    /**
+     * Schedule a sync shortly after local edits, so a burst of edits is pushed once
+     */
+    function schedule(reason = 'save') {
+        if (saveTimeout) clearTimeout(saveTimeout);
+        saveTimeout = setTimeout(() => {
+            saveTimeout = null;
+            runInBackground(reason);
+        }, SAVE_DELAY);
+    }
+
+    /**
+     * Whether the active backend can sync (signed in / configured)
+     */
+    async function isAvailable() {
+        const backend = await Backends.getActive();
+        return !!(await backend.isAvailable());
+    }
+
+    /**
+     * Register the automatic sync triggers
+     */
+    function start() {
+        // Auto-sync when app comes into foreground
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                runInBackground('visible');
+            }
+        });
+
+        window.addEventListener('focus', () => runInBackground('focus'));
+
+        // Offline outbox: replay queued changes when connectivity returns
+        window.addEventListener('online', () => runInBackground('online'));
+
+        // Periodic sync while the app is on screen
+        setInterval(() => {
+            if (document.visibilityState === 'visible') {
+                runInBackground('periodic');
+            }
+        }, PERIODIC_INTERVAL);
+
+        // Background Sync replay requested by the service worker (see sw.js)
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', async (event) => {
+                if (!event.data || event.data.type !== 'REPLAY_OUTBOX') return;
+                let ok = false;
+                try {
+                    await run('outbox');
+                    ok = await refreshPendingCount() === 0;
+                } catch (e) {
+                    // Already reported - the worker retries later
+                }
+                if (event.ports && event.ports[0]) event.ports[0].postMessage({ ok });
+            });
+        }
+
+        refreshPendingCount();
+        statusLoaded = Storage.getSetting('syncStatus', null).then(stored => {
+            if (stored) status = { ...status, ...stored };
+            emit('status', status);
+        }).catch(() => { });
+    }
+
+    // Public API
+    return {
+        on,
+        off,
+        start,
+        run,
+        schedule,
+        isAvailable,
+        refreshPendingCount,
+        getState: () => state,
+        getLastError: () => lastError,
+        getPendingCount: () => pendingCount,
+        getStatus: () => status,
+        STATE,
+        MODE
+    };
+})();
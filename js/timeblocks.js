@@ -73,6 +73,24 @@ const TimeBlocks = (function () {
         };
     }
 
+    /**
+     * Part of a block the grid can show (07:00-24:00), with flags for the parts cut off
+     * (earlier than the grid, from the previous day, or into the next day)
+     * @returns {Object} { startTime, endTime, cutStart, cutEnd } - empty when endTime <= startTime
+     */
+    function getVisibleRange(block) {
+        const gridStart = slotIndexToTime(0);
+        const gridEnd = slotIndexToTime(TOTAL_SLOTS);
+        // An end before the start is on the next day (e.g. 23:00-01:00 typed into the modal)
+        const wrapsMidnight = block.endTime < block.startTime;
+        return {
+            startTime: block.startTime < gridStart ? gridStart : block.startTime,
+            endTime: wrapsMidnight || block.endTime > gridEnd ? gridEnd : block.endTime,
+            cutStart: block.startTime < gridStart || !!block.continuesBefore,
+            cutEnd: wrapsMidnight || !!block.continuesAfter
+        };
+    }
+
     /**
      * Render all blocks into the grid cells
      */
@@ -111,6 +129,11 @@ const TimeBlocks = (function () {
         sortedBlocks.forEach(block => {
             calculateBlockCells(block, lanes[block.id], addToState);
         });
+        renderOffGridMarker(sortedBlocks.filter(block => {
+            const visible = getVisibleRange(block);
+            // Routines before the grid (morning sleep) are part of the template, not worth a marker
+            return !block.isRoutine && visible.endTime <= visible.startTime;
+        }));
 
         // 3. Apply changes to DOM (Diffing)
         const allSlots = gridElement.querySelectorAll('.time-slot');
@@ -145,7 +168,7 @@ const TimeBlocks = (function () {
 
             // Generate a signature for comparison
             // Signature: length + combined IDs + combined styles
-            const newSignature = JSON.stringify(newContent.map(i => ({ i: i.block.id, l: i.laneInfo, f: i.isFirst })));
+            const newSignature = JSON.stringify(newContent.map(i => ({ i: i.block.id, l: i.laneInfo, f: i.isFirst, e: i.isLast })));
             const currentSignature = slot.dataset.renderSignature || '';
 
             if (newSignature !== currentSignature) {
@@ -177,7 +200,7 @@ const TimeBlocks = (function () {
                 slot.dataset.category = newContent[newContent.length - 1].block.category;
 
                 newContent.forEach(item => {
-                    const fill = createBlockFill(item.block, item.laneInfo, item.isFirst, item.currentHour, item.slotInHour);
+                    const fill = createBlockFill(item.block, item.laneInfo, item.isFirst, item.currentHour, item.slotInHour, item.isLast);
                     slot.appendChild(fill);
                 });
 
@@ -273,10 +296,14 @@ const TimeBlocks = (function () {
 
     /**
      * Calculate which cells a block occupies and add to state
+     * (only its visible part, see getVisibleRange)
      */
     function calculateBlockCells(block, laneInfo, addToState) {
-        const startPos = getTimePosition(block.startTime);
-        const endPos = getTimePosition(block.endTime);
+        const visible = getVisibleRange(block);
+        if (visible.endTime <= visible.startTime) return; // Entirely outside the grid
+        const startPos = getTimePosition(visible.startTime);
+        const endPos = getTimePosition(visible.endTime);
+        const lastSlotIndex = timeToSlotIndex(visible.endTime) - 1;
         let currentHour = startPos.hour;
         let isFirstCell = true;
 
@@ -296,6 +323,7 @@ const TimeBlocks = (function () {
                     block: block,
                     laneInfo: laneInfo,
                     isFirst: isFirstCell,
+                    isLast: slotIndex === lastSlotIndex,
                     currentHour: currentHour,
                     slotInHour: i
                 });
@@ -306,15 +334,53 @@ const TimeBlocks = (function () {
         }
     }
 
+    /**
+     * Show the blocks that lie entirely before the grid as a marker on its first hour
+     * (clicking it opens the earliest one)
+     */
+    function renderOffGridMarker(hiddenBlocks) {
+        if (!gridElement) return;
+        const label = gridElement.querySelector(`.timegrid-row[data-hour="${GRID_START_HOUR}"] .time-label`);
+        if (!label) return;
+
+        let marker = label.querySelector('.offgrid-marker');
+        if (hiddenBlocks.length === 0) {
+            if (marker) marker.remove();
+            return;
+        }
+        if (!marker) {
+            marker = document.createElement('button');
+            marker.type = 'button';
+            marker.className = 'offgrid-marker';
+            marker.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (marker.dataset.blockId) handleBlockDoubleClick(marker.dataset.blockId);
+            });
+            label.appendChild(marker);
+        }
+
+        const sorted = [...hiddenBlocks].sort((a, b) => a.startTime.localeCompare(b.startTime));
+        marker.textContent = `↑${sorted.length}`;
+        marker.title = 'Před ' + GRID_START_HOUR + ':00:\n' +
+            sorted.map(block => `${block.startTime}–${block.endTime} ${block.title}`).join('\n');
+        marker.dataset.blockId = sorted[0].id;
+    }
+
     /**
      * Create the fill element (DOM) for a block in a specific cell
+     * @param {boolean} isLastCell - Last visible cell of the block
      */
-    function createBlockFill(block, laneInfo, isFirstCell, currentHour, i) {
+    function createBlockFill(block, laneInfo, isFirstCell, currentHour, i, isLastCell) {
         // Create a fill element for THIS cell
         const fill = document.createElement('div');
         fill.className = 'time-block-fill';
         if (block.fromCalendar) fill.classList.add('from-calendar');
         if (block.isRoutine) fill.classList.add('is-routine');
+        if (block.stale) {
+            // Cached calendar event shown while Google can't be reached
+            fill.classList.add('is-stale');
+            fill.title = 'Uloženo offline - může být zastaralé';
+        }
 
         // Set colors
         let bgColor;
@@ -339,6 +405,17 @@ const TimeBlocks = (function () {
         }
         fill.dataset.blockId = block.id;
 
+        // Markers on the edges where the grid cuts the block off
+        const visible = getVisibleRange(block);
+        if (isFirstCell && visible.cutStart) {
+            fill.classList.add('cut-start');
+            fill.title = block.continuesBefore ? 'Začalo předchozí den' : `Začíná v ${block.startTime}`;
+        }
+        if (isLastCell && visible.cutEnd) {
+            fill.classList.add('cut-end');
+            fill.title = block.continuesAfter ? 'Pokračuje další den' : `Končí v ${block.endTime} další den`;
+        }
+
         // Lane positioning for overlaps
         if (laneInfo && laneInfo.totalLanes > 1) {
             const heightPer = 100 / laneInfo.totalLanes;
@@ -362,8 +439,8 @@ const TimeBlocks = (function () {
             handleBlockClick(block.id);
         });
 
-        // Draggable for user tasks and routines (not calendar events)
-        if (!block.fromCalendar) {
+        // Draggable for user tasks, routines and events of calendars we can write to
+        if (!block.fromCalendar || block.editable) {
             makeDraggable(fill, block);
 
             // RESIZE HANDLES
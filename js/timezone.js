@@ -0,0 +1,168 @@
+/**
+ * timezone.js - Home time zone and travel mode
+ *
+ * Grid times (HH:MM on a date) are wall-clock times in the home time zone -
+ * the device's zone unless one is set. Calendar events are instants, so they
+ * are converted to the home zone and stay in their slots when the device's
+ * clock moves to another zone on a trip. Travel mode also labels the hours
+ * with the device's time.
+ */
+
+const TimeZone = (function () {
+    const HOME_KEY = 'timeZone'; // Synced: { home } - IANA name, null = the device's zone
+    const TRAVEL_KEY = 'timeZoneTravel'; // Local: travel mode is about where this device is
+    const DEFAULTS = { home: null, travel: false };
+
+    let settings = { ...DEFAULTS };
+    const formatters = new Map(); // Intl.DateTimeFormat per zone (slow to create)
+
+    /**
+     * Read the settings (again after a sync may have changed them)
+     */
+    async function load() {
+        const stored = await Storage.getSetting(HOME_KEY, null);
+        settings = { home: (stored && stored.home) || null, travel: !!await Storage.getSetting(TRAVEL_KEY, false) };
+        if (settings.home && !isValidZone(settings.home)) {
+            console.warn(`Unknown home time zone ${settings.home}, using the device's`);
+            settings.home = null;
+        }
+        return getSettings();
+    }
+
+    function getSettings() {
+        return { ...settings };
+    }
+
+    /**
+     * Save the settings
+     * @param {Object} newSettings - { home, travel }
+     */
+    async function setSettings(newSettings) {
+        settings = { ...DEFAULTS, ...newSettings };
+        await Storage.setSetting(HOME_KEY, { home: settings.home });
+        await Storage.setSetting(TRAVEL_KEY, settings.travel);
+    }
+
+    function deviceZone() {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone;
+    }
+
+    function homeZone() {
+        return settings.home || deviceZone();
+    }
+
+    /**
+     * Whether to show the device's time next to the home time
+     */
+    function isTravelling() {
+        return settings.travel && deviceZone() !== homeZone();
+    }
+
+    function isValidZone(zone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: zone });
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Zone names to offer in the settings (empty where the browser can't list them)
+     */
+    function listZones() {
+        return typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    }
+
+    function getFormatter(zone) {
+        if (!formatters.has(zone)) {
+            formatters.set(zone, new Intl.DateTimeFormat('en-US', {
+                timeZone: zone,
+                hourCycle: 'h23',
+                year: 'numeric', month: '2-digit', day: '2-digit',
+                hour: '2-digit', minute: '2-digit', second: '2-digit'
+            }));
+        }
+        return formatters.get(zone);
+    }
+
+    /**
+     * Wall-clock time of an instant in a zone
+     * @param {Date} instant
+     * @param {string} zone - Defaults to the home zone
+     * @returns {Object} { date (YYYY-MM-DD), time (HH:MM), hours, minutes, seconds }
+     */
+    function toZoned(instant, zone = homeZone()) {
+        const parts = {};
+        getFormatter(zone).formatToParts(instant).forEach(part => {
+            parts[part.type] = part.value;
+        });
+        return {
+            date: `${parts.year}-${parts.month}-${parts.day}`,
+            time: `${parts.hour}:${parts.minute}`,
+            hours: Number(parts.hour),
+            minutes: Number(parts.minute),
+            seconds: Number(parts.second)
+        };
+    }
+
+    /**
+     * Offset of a zone from UTC at an instant, in minutes (east positive)
+     */
+    function offsetMinutes(instant, zone) {
+        const { date, hours, minutes, seconds } = toZoned(instant, zone);
+        const [year, month, day] = date.split('-').map(Number);
+        const wall = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+        return Math.round((wall - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+    }
+
+    /**
+     * Instant of a wall-clock time in a zone
+     * @param {string} date - YYYY-MM-DD
+     * @param {string} time - HH:MM (24:00 = midnight after the date)
+     * @param {string} zone - Defaults to the home zone
+     * @returns {Date}
+     */
+    function toInstant(date, time, zone = homeZone()) {
+        const [year, month, day] = date.split('-').map(Number);
+        const [hours, minutes] = time.split(':').map(Number);
+        const wall = Date.UTC(year, month - 1, day, hours, minutes);
+        // The offset at the result can differ from the one at the guess near a DST change
+        const guess = wall - offsetMinutes(new Date(wall), zone) * 60000;
+        return new Date(wall - offsetMinutes(new Date(guess), zone) * 60000);
+    }
+
+    /**
+     * Today's date in the home zone (YYYY-MM-DD)
+     */
+    function today() {
+        return toZoned(new Date()).date;
+    }
+
+    /**
+     * Short offset label of a zone, e.g. "UTC+2" or "UTC-3:30"
+     */
+    function formatOffset(zone, instant = new Date()) {
+        const offset = offsetMinutes(instant, zone);
+        const sign = offset < 0 ? '-' : '+';
+        const hours = Math.floor(Math.abs(offset) / 60);
+        const minutes = Math.abs(offset) % 60;
+        return offset === 0 ? 'UTC' : `UTC${sign}${hours}${minutes ? ':' + String(minutes).padStart(2, '0') : ''}`;
+    }
+
+    // Public API
+    return {
+        load,
+        getSettings,
+        setSettings,
+        deviceZone,
+        homeZone,
+        isTravelling,
+        isValidZone,
+        listZones,
+        toZoned,
+        toInstant,
+        today,
+        formatOffset
+    };
+})();
@@ -0,0 +1,159 @@
+/**
+ * webdav.js - WebDAV sync backend (Nextcloud, ownCloud, any WebDAV server)
+ *
+ * Files live in one folder: the main file (manifest) under a fixed name and the
+ * month files under unique names. The ETag of the main file is its version, and
+ * saves use If-Match / If-None-Match, so the server itself rejects a save over
+ * a copy this device hasn't merged (412).
+ *
+ * The server must allow CORS from the app's origin (incl. the Authorization,
+ * Depth, If-Match and If-None-Match headers and the PROPFIND method).
+ */
+
+const WebDAV = (function () {
+    const CONFIG_KEY = 'webdavConfig'; // Local only - holds the password
+    const MAIN_FILENAME = 'timeboxing-data.json';
+
+    let config; // { url, username, password } | null, undefined until read
+
+    async function getConfig() {
+        if (config === undefined) {
+            config = await Storage.getSetting(CONFIG_KEY, null);
+        }
+        return config;
+    }
+
+    /**
+     * Save the server settings
+     * @param {Object} newConfig - { url, username, password } (null to forget them)
+     */
+    async function setConfig(newConfig) {
+        config = newConfig && { ...newConfig, url: newConfig.url.replace(/\/+$/, '') };
+        await Storage.setSetting(CONFIG_KEY, config);
+    }
+
+    /**
+     * Send a request to a file in the configured folder
+     * @param {string} name - File name (relative to the folder)
+     * @param {Object} options - fetch options
+     * @param {Array} okStatuses - Statuses that aren't errors
+     * @param {Object} serverConfig - Settings to use instead of the saved ones
+     */
+    async function request(name, options = {}, okStatuses = [], serverConfig = null) {
+        const { url, username, password } = serverConfig || await getConfig();
+        const headers = { ...options.headers };
+        if (username) {
+            headers['Authorization'] = 'Basic ' + btoa(unescape(encodeURIComponent(`${username}:${password || ''}`)));
+        }
+
+        const response = await fetch(`${url}/${encodeURIComponent(name)}`, { ...options, headers, cache: 'no-store' });
+        if (!response.ok && !okStatuses.includes(response.status)) {
+            const err = new Error(`WebDAV ${options.method || 'GET'} ${name} failed (${response.status})`);
+            err.status = response.status; // 412 = changed since read, like the Drive backend
+            throw err;
+        }
+        return response;
+    }
+
+    /**
+     * Read a file's ETag with PROPFIND (response headers may not be exposed to CORS)
+     * @returns {string|null} ETag, or null if the file doesn't exist
+     */
+    async function getETag(name, serverConfig = null) {
+        const response = await request(name, {
+            method: 'PROPFIND',
+            headers: { 'Depth': '0', 'Content-Type': 'application/xml' },
+            body: '<?xml version="1.0"?><d:propfind xmlns:d="DAV:"><d:prop><d:getetag/></d:prop></d:propfind>'
+        }, [404], serverConfig);
+        if (response.status === 404) return null;
+
+        const xml = new DOMParser().parseFromString(await response.text(), 'application/xml');
+        const etag = xml.getElementsByTagNameNS('DAV:', 'getetag')[0];
+        return etag ? etag.textContent : null;
+    }
+
+    const backend = {
+        id: 'webdav',
+        label: 'WebDAV',
+
+        async isAvailable() {
+            const current = await getConfig();
+            return !!(current && current.url);
+        },
+
+        async detectChanges() {
+            if (!await getConfig()) return null;
+            const etag = await getETag(MAIN_FILENAME);
+            return etag ? { id: MAIN_FILENAME, version: etag, duplicates: [] } : null;
+        },
+
+        async load(meta) {
+            const response = await request(meta ? meta.id : MAIN_FILENAME, {}, [404]);
+            if (response.status === 404) return null;
+
+            let data = await response.json();
+            if (Encryption.isEnvelope(data)) {
+                data = await Encryption.open(data); // Throws PASSPHRASE_REQUIRED / WRONG_PASSPHRASE
+            }
+            return data;
+        },
+
+        async save(data, { expectedVersion = null } = {}) {
+            const body = JSON.stringify(await Encryption.seal(data));
+            const response = await request(MAIN_FILENAME, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    // Only replace the copy we merged with; only create if there was none
+                    ...(expectedVersion ? { 'If-Match': expectedVersion } : { 'If-None-Match': '*' })
+                },
+                body
+            });
+            // A separate PROPFIND could already see another device's save - without the
+            // header the version stays unknown and the next sync reads the file again
+            const version = response.headers.get('ETag');
+            console.log(`Data saved to WebDAV (${version})`);
+            return { id: MAIN_FILENAME, version };
+        },
+
+        files: {
+            async upload(name, body, contentType) {
+                // Month files are immutable - give each upload its own name
+                const unique = name.replace(/^([^.]+)\./, `$1.${Date.now().toString(36)}${Math.random().toString(36).substr(2, 6)}.`);
+                await request(unique, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': contentType, 'If-None-Match': '*' },
+                    body
+                });
+                return { id: unique, size: body.size || body.length || 0 };
+            },
+
+            async download(name) {
+                const response = await request(name);
+                return response.arrayBuffer();
+            },
+
+            async remove(name) {
+                await request(name, { method: 'DELETE' }, [404]);
+            }
+        }
+    };
+
+    /**
+     * Check that the server is reachable with the given settings
+     * @returns {boolean} Whether the data file already exists there
+     */
+    async function testConnection(testConfig) {
+        const serverConfig = { ...testConfig, url: testConfig.url.replace(/\/+$/, '') };
+        return (await getETag(MAIN_FILENAME, serverConfig)) !== null;
+    }
+
+    Backends.register(backend);
+
+    // Public API
+    return {
+        getConfig,
+        setConfig,
+        testConnection
+    };
+})();
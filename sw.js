@@ -3,17 +3,27 @@
  * Provides offline functionality and caching
  */
 
-const CACHE_NAME = 'timeboxing-v1.90';
+const CACHE_NAME = 'timeboxing-v1.91';
+const OUTBOX_SYNC_TAG = 'timeboxing-outbox'; // Must match sync.js
 const STATIC_ASSETS = [
     './',
     './index.html',
-    './css/style.v4.css?v=1.90',
-    './js/app.js?v=1.90',
-    './js/calendar.js?v=1.90',
-    './js/storage.js?v=1.90',
-    './js/routines.js?v=1.90',
-    './js/smartinput.js?v=1.90',
-    './js/timeblocks.js?v=1.90',
+    './css/style.v4.css?v=1.91',
+    './js/app.js?v=1.91',
+    './js/calendar.js?v=1.91',
+    './js/publish.js?v=1.91',
+    './js/backends.js?v=1.91',
+    './js/webdav.js?v=1.91',
+    './js/encryption.js?v=1.91',
+    './js/partitions.js?v=1.91',
+    './js/storage.js?v=1.91',
+    './js/timezone.js?v=1.91',
+    './js/clock.js?v=1.91',
+    './js/merge.js?v=1.91',
+    './js/sync.js?v=1.91',
+    './js/routines.js?v=1.91',
+    './js/smartinput.js?v=1.91',
+    './js/timeblocks.js?v=1.91',
     './manifest.json',
     './icons/icon-192.svg',
     './icons/icon-512.svg'
@@ -107,6 +117,40 @@ self.addEventListener('fetch', (event) => {
     );
 });
 
+// Background Sync - replay changes queued while offline
+self.addEventListener('sync', (event) => {
+    if (event.tag === OUTBOX_SYNC_TAG) {
+        event.waitUntil(replayOutbox());
+    }
+});
+
+/**
+ * Ask an open window to push the outbox.
+ * Pushing needs the Google API client and the merge rules, which live in the page,
+ * so the worker only coordinates. Rejecting makes the browser retry the sync later;
+ * if the app isn't open, the outbox is pushed by the sync on next start.
+ */
+async function replayOutbox() {
+    const windows = await self.clients.matchAll({ type: 'window' });
+    if (windows.length === 0) {
+        throw new Error('No open window to replay the outbox');
+    }
+
+    const result = await new Promise((resolve) => {
+        const channel = new MessageChannel();
+        const timer = setTimeout(() => resolve({ ok: false }), 60000);
+        channel.port1.onmessage = (e) => {
+            clearTimeout(timer);
+            resolve(e.data || { ok: false });
+        };
+        windows[0].postMessage({ type: 'REPLAY_OUTBOX' }, [channel.port2]);
+    });
+
+    if (!result.ok) {
+        throw new Error('Outbox replay failed');
+    }
+}
+
 // Handle messages from the main app
 self.addEventListener('message', (event) => {
     if (event.data && event.data.type === 'SKIP_WAITING') {